@@ -1,7 +1,20 @@
 // Background service worker for Kindle to Notion Sync
 // Handles API communication, sync logic, and scheduled tasks
 
-import { createNotionClient } from './lib/notion-api.js';
+import {
+    createNotionClient, NotionApiError, BOOK_FIELDS, validatePropertyMapping, parseNotionId, isRejectedContent,
+    normalizeTitle
+} from './lib/notion-api.js';
+import { createNotebookTab, prepareNotebookTab } from './lib/notebook-tab.js';
+import { getNotebookUrl, resolveMarketplaceId } from './lib/marketplaces.js';
+import { getHighlightId, hasHighlightId, withHighlightKey, hasHighlightKey } from './lib/fingerprint.js';
+import { planHighlightChanges } from './lib/reconcile.js';
+import { resolveCoverUrl } from './lib/covers.js';
+import { recordSyncRun } from './lib/history.js';
+import {
+    loadCheckpoint, startCheckpoint, saveCheckpointBook, loadCheckpointBooks, completeExtraction,
+    markBookWritten, clearCheckpoint, getBookIdentity
+} from './lib/checkpoint.js';
 
 // Message handlers
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -19,11 +32,58 @@ async function handleMessage(request, sender) {
         case 'testConnection':
             return testConnection(request.token, request.databaseId);
 
-        case 'syncToNotion':
-            return syncBooksToNotion(request.books);
+        case 'searchParentPages':
+            return searchParentPages(request.token, request.query);
 
-        case 'getNotionHighlightCounts':
-            return getNotionHighlightCounts();
+        case 'provisionDatabase':
+            return provisionDatabase(request.token, request.parentPageId);
+
+        case 'provisionHighlightsDatabase':
+            return provisionHighlightsDatabase(request.token, request.databaseId);
+
+        case 'getPropertyMappingOptions':
+            return getPropertyMappingOptions(request.token, request.databaseId, request.propertyMapping);
+
+        case 'addAsinProperty':
+            return addAsinProperty(request.token, request.databaseId);
+
+        case 'startSync':
+            return startSyncJob('manual', { resume: !!request.resume, onlyBooks: request.onlyBooks || null });
+
+        case 'getSyncJob':
+            return { job: currentJob };
+
+        case 'getSyncCheckpoint':
+            return getSyncCheckpoint();
+
+        case 'refreshLibraryBooks':
+            return refreshLibraryBooks();
+
+        case 'checkpointBook':
+            // Extracted books arrive one by one from the content script
+            if (isJobActive(currentJob) && currentJob.state === 'extracting' && usesCheckpoint(currentJob)) {
+                await saveCheckpointBook(request.book);
+            }
+            return { saved: true };
+
+        case 'cancelSyncJob':
+            return cancelSyncJob();
+
+        case 'pauseSyncJob':
+            return pauseSyncJob(!!request.paused);
+
+        case 'waitSyncSignal':
+            // The content script checks in between books of the extraction
+            try {
+                await checkJobSignal();
+                return { cancelled: false };
+            } catch (error) {
+                if (!(error instanceof SyncCancelledError)) throw error;
+                return { cancelled: true };
+            }
+
+        case 'confirmSyncJob':
+            return confirmSyncJob(request.approved);
 
         case 'setupAutoSync':
             return setupAutoSync(request.interval);
@@ -32,7 +92,18 @@ async function handleMessage(request, sender) {
             return clearAutoSync();
 
         case 'syncProgress':
+            // Extraction progress from the content script
+            updateJobProgress({
+                current: request.current,
+                total: request.total,
+                bookTitle: request.bookTitle,
+                highlights: request.highlightsCount
+            });
+            chrome.runtime.sendMessage(request).catch(() => { });
+            return { forwarded: true };
+
         case 'syncLog':
+            recordJobLog(request.type, request.message);
             // Forward progress messages to all extension pages (sync-window)
             chrome.runtime.sendMessage(request).catch(() => { });
             return { forwarded: true };
@@ -62,42 +133,263 @@ async function testConnection(token, databaseId) {
     }
 }
 
+/**
+ * Search pages the integration can access (parents for a new database)
+ */
+async function searchParentPages(token, query) {
+    try {
+        const client = createNotionClient(token);
+        const pages = await client.searchPages(query || '');
+        return { success: true, pages };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Create a books database with the expected schema and make it the sync target
+ */
+async function provisionDatabase(token, parentPageId) {
+    const pageId = parseNotionId(parentPageId);
+    if (!pageId) {
+        return {
+            success: false,
+            error: '親ページのIDまたはURLが正しくありません'
+        };
+    }
+
+    try {
+        const client = createNotionClient(token);
+        const database = await client.createBooksDatabase(pageId);
+        console.log('[Notion Sync] Database created:', database.id);
+
+        // The new database uses the default property names, so no mapping is needed
+        await chrome.storage.sync.set({
+            notionToken: token,
+            databaseId: database.id,
+            propertyMapping: {}
+        });
+
+        const test = await testConnection(token, database.id);
+        return {
+            success: true,
+            databaseId: database.id,
+            test
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Create the highlights database next to the books database and store its ID
+ */
+async function provisionHighlightsDatabase(token, databaseId) {
+    try {
+        const client = createNotionClient(token);
+        const database = await client.createHighlightsDatabase(databaseId);
+        console.log('[Notion Sync] Highlights database created:', database.id);
+
+        await chrome.storage.sync.set({ highlightsDatabaseId: database.id });
+        return {
+            success: true,
+            databaseId: database.id
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Load the database properties and the book fields they can be mapped to
+ * Used by the options page to build the property mapping form
+ */
+async function getPropertyMappingOptions(token, databaseId, propertyMapping) {
+    try {
+        const client = createNotionClient(token);
+        const schema = await client.resolveSchema(databaseId);
+
+        const fields = Object.entries(BOOK_FIELDS).map(([key, { label, types }]) => ({
+            key,
+            label,
+            types,
+            // Property guessed from the name, shown as the "auto" choice
+            detected: schema.fields[key] ? schema.fields[key].name : ''
+        }));
+        const properties = Object.entries(schema.properties).map(([name, config]) => ({
+            name,
+            type: config.type
+        }));
+
+        return {
+            success: true,
+            fields,
+            properties,
+            errors: validatePropertyMapping(propertyMapping, schema.properties)
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
 /**
  * Get all books with highlight counts from Notion
  * Used for cross-device smart diff sync
  */
-async function getNotionHighlightCounts() {
-    const settings = await chrome.storage.sync.get(['notionToken', 'databaseId']);
+async function getNotionHighlightCounts(client) {
+    const settings = await chrome.storage.sync.get(['databaseId']);
+
+    if (!settings.databaseId) {
+        throw new Error('Notion設定が完了していません');
+    }
+
+    const { counts, asinCounts, total } = await client.getAllBooksWithHighlightCount(settings.databaseId);
+
+    return { counts, asinCounts, total };
+}
+
+/**
+ * Add the ASIN property the user asked for in the options
+ * The ASIN backfill runs again on the next sync, now that there is a property to fill
+ */
+async function addAsinProperty(token, databaseId) {
+    try {
+        const client = createNotionClient(token);
+        const added = await client.ensureAsinProperty(databaseId);
+        await chrome.storage.local.remove('asinBackfillDone');
+        return { success: true, added };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * One-time backfill of ASINs onto book pages created before ASIN support
+ * @param {Array} libraryBooks - [{ title, asin }] from the Kindle library list
+ */
+async function backfillAsins(client, libraryBooks) {
+    const { asinBackfillDone } = await chrome.storage.local.get('asinBackfillDone');
+    if (asinBackfillDone) {
+        return { skipped: true };
+    }
 
-    if (!settings.notionToken || !settings.databaseId) {
+    const settings = await chrome.storage.sync.get(['databaseId']);
+    if (!settings.databaseId) {
         throw new Error('Notion設定が完了していません');
     }
 
-    const client = createNotionClient(settings.notionToken);
-    const counts = await client.getAllBooksWithHighlightCount(settings.databaseId);
+    const updated = await client.backfillAsins(settings.databaseId, libraryBooks || []);
 
-    return { counts };
+    await chrome.storage.local.set({ asinBackfillDone: true });
+    console.log(`[Notion Sync] ASIN backfill complete: ${updated} pages updated`);
+    return { updated };
+}
+
+/**
+ * One-time pass that sets the page cover and icon of existing pages from the library
+ */
+async function backfillCovers(client, libraryBooks) {
+    const { coverBackfillDone } = await chrome.storage.local.get('coverBackfillDone');
+    if (coverBackfillDone) {
+        return { skipped: true };
+    }
+
+    const settings = await chrome.storage.sync.get(['databaseId', 'setPageCover']);
+    if (settings.setPageCover === false) {
+        return { skipped: true };
+    }
+    if (!settings.databaseId) {
+        throw new Error('Notion設定が完了していません');
+    }
+
+    const booksByAsin = new Map();
+    const booksByTitle = new Map();
+    for (const book of libraryBooks || []) {
+        if (book.asin) booksByAsin.set(book.asin, book);
+        if (book.title) booksByTitle.set(normalizeTitle(book.title), book);
+    }
+
+    const pages = await client.getPagesWithoutCover(settings.databaseId);
+
+    let updated = 0;
+    for (const page of pages) {
+        const book = (page.asin && booksByAsin.get(page.asin)) || booksByTitle.get(normalizeTitle(page.title));
+        if (!book) continue;
+
+        const coverUrl = await resolveCoverUrl(book);
+        if (!coverUrl) continue;
+
+        await client.setPageCover(page.id, coverUrl, { cover: page.missingCover, icon: page.missingIcon });
+        updated++;
+    }
+
+    await chrome.storage.local.set({ coverBackfillDone: true });
+    console.log(`[Notion Sync] Cover backfill complete: ${updated} pages updated`);
+    return { updated };
 }
 
 /**
  * Sync books to Notion
+ * @param {Object} [options] - allowChanges: false leaves existing highlight blocks as they are
+ *   (no edits or removals, only additions),
+ *   onBookSynced: called after each book was written,
+ *   checkSignal: awaited between books and Notion batches to pause or cancel the sync
  */
-async function syncBooksToNotion(books) {
-    const settings = await chrome.storage.sync.get(['notionToken', 'databaseId']);
+async function syncBooksToNotion(client, books, { allowChanges = true, onBookSynced = null, checkSignal = null } = {}) {
+    const settings = await chrome.storage.sync.get([
+        'databaseId', 'colorLabels', 'highlightMode', 'highlightsDatabaseId',
+        'reconcileHighlights', 'removedHighlightAction', 'deepLinks',
+        'setPageCover', 'marketplace'
+    ]);
 
-    if (!settings.notionToken || !settings.databaseId) {
+    if (!settings.databaseId) {
         throw new Error('Notion設定が完了していません');
     }
 
-    const client = createNotionClient(settings.notionToken);
+    // 'blocks': quote blocks in the book page, 'database': one page per highlight, 'both'
+    const highlightMode = settings.highlightMode || 'blocks';
+    if (highlightMode !== 'blocks' && !settings.highlightsDatabaseId) {
+        throw new Error('ハイライト用データベースが設定されていません');
+    }
+
     const databaseId = settings.databaseId;
+    const highlightsDatabaseId = highlightMode !== 'blocks' ? settings.highlightsDatabaseId : null;
+    const writeBlocks = highlightMode !== 'database';
+    const blockOptions = {
+        colorLabels: settings.colorLabels || {},
+        deepLinks: settings.deepLinks || 'web',
+        // Carries the highlight key of blocks without a deep link
+        notebookUrl: getNotebookUrl(await resolveMarketplaceId(settings.marketplace)),
+        checkSignal
+    };
+    const removedAction = settings.removedHighlightAction || 'strike';
+    const setPageCover = settings.setPageCover !== false;
 
     let newBooks = 0;
     let newHighlights = 0;
     let updatedBooks = 0;
+    const bookErrors = [];
 
     for (let i = 0; i < books.length; i++) {
         const book = books[i];
+        if (checkSignal) {
+            await checkSignal();
+        }
         try {
             console.log(`[Notion Sync] Processing book ${i + 1}/${books.length}:`, book);
 
@@ -106,39 +398,92 @@ async function syncBooksToNotion(books) {
             broadcastLog('info', `[Notion ${i + 1}/${books.length}] ${book.title.substring(0, 35)}...`);
 
             // Check if book already exists by ASIN or title
-            let page = null;
-
-            if (book.title) {
-                console.log(`[Notion Sync] Searching for book: "${book.title}"`);
-                page = await client.findBookByTitle(databaseId, book.title);
-                console.log(`[Notion Sync] Search result:`, page ? `Found (${page.id})` : 'Not found');
-            }
+            let { page, assignAsin } = await findBookPage(client, databaseId, book);
+            // Notion only takes the kindle:// link as a URL property
+            const appUrl = blockOptions.deepLinks === 'app' ? book.kindleUrl : undefined;
+            const colorLabels = getBookColorLabels(book, blockOptions.colorLabels);
+            console.log(`[Notion Sync] Search result:`, page ? `Found (${page.id})` : 'Not found');
 
             if (page) {
+                if (setPageCover && (!page.cover || !page.icon)) {
+                    const coverUrl = await resolveCoverUrl(book);
+                    if (coverUrl) {
+                        await client.setPageCover(page.id, coverUrl, { cover: !page.cover, icon: !page.icon });
+                    }
+                }
+
                 // Book exists - check for new highlights
                 console.log(`[Notion Sync] Book exists, checking for new highlights...`);
-                const existingHighlights = await client.getExistingHighlights(page.id);
-                console.log(`[Notion Sync] Existing highlights: ${existingHighlights.length}`);
+                let addedCount = 0;
+                let changedCount = 0;
+                let totalCount = 0;
+
+                if (writeBlocks && settings.reconcileHighlights) {
+                    const changes = await reconcileHighlightBlocks(client, page.id, book, blockOptions, {
+                        removedAction,
+                        allowChanges
+                    });
+                    addedCount = changes.added;
+                    changedCount = changes.updated + changes.removed;
+                    totalCount = changes.total;
+                    if (changedCount > 0) {
+                        broadcastLog('success', `✓ ${changes.updated}件を更新、${changes.removed}件を削除済みに変更`);
+                    }
+                } else if (writeBlocks) {
+                    const existingKeys = new Set(await client.getExistingHighlights(page.id));
+                    const existingCount = existingKeys.size;
+                    console.log(`[Notion Sync] Existing highlights: ${existingCount}`);
 
-                const newHighlightsList = book.highlights.filter(h =>
-                    !existingHighlights.some(existing =>
-                        existing.includes(h.text.substring(0, 50)) // Match by first 50 chars
-                    )
-                );
-                console.log(`[Notion Sync] New highlights to add: ${newHighlightsList.length}`);
+                    // Match by identity key (text + location; text alone for blocks written without a location)
+                    const newHighlightsList = [];
+                    for (const highlight of book.highlights) {
+                        const keyed = await withHighlightKey(highlight);
+                        if (!(await hasHighlightKey(existingKeys, keyed))) {
+                            existingKeys.add(keyed.key);
+                            newHighlightsList.push(keyed);
+                        }
+                    }
+                    console.log(`[Notion Sync] New highlights to add: ${newHighlightsList.length}`);
 
-                if (newHighlightsList.length > 0) {
-                    console.log(`[Notion Sync] Adding ${newHighlightsList.length} new highlights...`);
-                    await client.addHighlightBlocks(page.id, newHighlightsList);
-                    newHighlights += newHighlightsList.length;
+                    let rejected = [];
+                    if (newHighlightsList.length > 0) {
+                        console.log(`[Notion Sync] Adding ${newHighlightsList.length} new highlights...`);
+                        rejected = await client.addHighlightBlocks(page.id, newHighlightsList, blockOptions);
+                        reportRejectedHighlights(rejected);
+                    }
+                    addedCount = newHighlightsList.length - rejected.length;
+                    totalCount = existingCount + addedCount;
+                }
+
+                if (highlightsDatabaseId) {
+                    const rows = await syncHighlightPages(client, highlightsDatabaseId, page.id, book, blockOptions);
+                    if (!writeBlocks) {
+                        addedCount = rows.added;
+                        totalCount = rows.total;
+                    } else if (rows.added > 0) {
+                        broadcastLog('success', `✓ ${rows.added}件のハイライトをデータベースに追加`);
+                    }
+                }
+
+                if (addedCount > 0 || changedCount > 0) {
+                    newHighlights += addedCount;
 
                     // Update highlight count and last synced
                     await client.updateBookPage(page.id, {
-                        highlightCount: existingHighlights.length + newHighlightsList.length
+                        highlightCount: totalCount,
+                        asin: assignAsin ? book.asin : undefined,
+                        appUrl,
+                        colorLabels
                     }, databaseId);
                     updatedBooks++;
-                    broadcastLog('success', `✓ ${newHighlightsList.length}件の新規ハイライトを追加`);
+                    if (addedCount > 0) {
+                        broadcastLog('success', `✓ ${addedCount}件の新規ハイライトを追加`);
+                    }
                 } else {
+                    if (assignAsin) {
+                        // Store the ASIN so the next lookup does not depend on the title
+                        await client.updateBookPage(page.id, { asin: book.asin }, databaseId);
+                    }
                     broadcastLog('info', `変更なし（既存ハイライトと同じ）`);
                 }
             } else {
@@ -152,27 +497,70 @@ async function syncBooksToNotion(books) {
                     highlightCount: book.highlights.length
                 });
 
-                page = await client.createBookPage(databaseId, book);
+                // Count stays 0 until every block is written, so a half-written
+                // page is picked up again by the next smart diff
+                // Prefer a cover URL that is known to load for both the property and the page cover
+                const pageCoverUrl = setPageCover ? await resolveCoverUrl(book) : '';
+                page = await client.createBookPage(databaseId, {
+                    ...book,
+                    coverUrl: pageCoverUrl || book.coverUrl,
+                    pageCoverUrl,
+                    appUrl,
+                    colorLabels,
+                    highlightCount: 0
+                });
                 console.log(`[Notion Sync] Book page created: ${page.id}`);
                 newBooks++;
 
+                let addedCount = 0;
                 if (book.highlights.length > 0) {
                     console.log(`[Notion Sync] Adding ${book.highlights.length} highlights to new page...`);
-                    await client.addHighlightBlocks(page.id, book.highlights);
-                    newHighlights += book.highlights.length;
+                    if (writeBlocks) {
+                        const rejected = await client.addHighlightBlocks(page.id, book.highlights, blockOptions);
+                        reportRejectedHighlights(rejected);
+                        addedCount = book.highlights.length - rejected.length;
+                    }
+                    if (highlightsDatabaseId) {
+                        const rows = await syncHighlightPages(client, highlightsDatabaseId, page.id, book, blockOptions);
+                        if (!writeBlocks) {
+                            addedCount = rows.added;
+                        }
+                    }
+                    newHighlights += addedCount;
                     console.log(`[Notion Sync] Highlights added successfully`);
+
+                    await client.updateBookPage(page.id, {
+                        highlightCount: addedCount
+                    }, databaseId);
                 }
-                broadcastLog('success', `✓ 新規書籍を追加 (${book.highlights.length}件のハイライト)`);
+                broadcastLog('success', `✓ 新規書籍を追加 (${addedCount}件のハイライト)`);
             }
 
             // Update highlight count in progress
             broadcastProgress(i + 1, books.length, null, newHighlights);
 
-            // Rate limiting between books
-            await delay(350);
+            if (onBookSynced) {
+                await onBookSynced(book);
+            }
         } catch (error) {
+            // A cancelled book stays unwritten in the checkpoint; keys make the next sync skip what got through
+            if (error instanceof SyncCancelledError) {
+                throw error;
+            }
             console.error(`Error syncing book "${book.title}":`, error);
-            broadcastLog('error', `✗ ${book.title.substring(0, 30)}: ${error.message}`);
+            bookErrors.push({
+                title: book.title,
+                message: error instanceof NotionApiError ? `[${error.status || '-'} ${error.code}] ${error.message}` : error.message
+            });
+            if (error instanceof NotionApiError) {
+                broadcastLog('error', `✗ ${book.title.substring(0, 30)}: [${error.status || '-'} ${error.code}] ${error.message}`);
+                // Token or database access problems fail every remaining book too
+                if (isFatalNotionError(error)) {
+                    throw error;
+                }
+            } else {
+                broadcastLog('error', `✗ ${book.title.substring(0, 30)}: ${error.message}`);
+            }
             // Continue with next book
         }
     }
@@ -182,10 +570,211 @@ async function syncBooksToNotion(books) {
         newBooks,
         updatedBooks,
         newHighlights,
-        totalProcessed: books.length
+        totalProcessed: books.length,
+        bookErrors
     };
 }
 
+/**
+ * Find the Notion page of a book by ASIN, then by title
+ * assignAsin is set when the page was found by title and stores no ASIN yet
+ * @returns {Promise<{page: Object|null, assignAsin: boolean}>}
+ */
+async function findBookPage(client, databaseId, book) {
+    if (book.asin) {
+        const page = await client.findBookByAsin(databaseId, book.asin);
+        if (page) {
+            return { page, assignAsin: false };
+        }
+    }
+
+    if (book.title) {
+        console.log(`[Notion Sync] Searching for book: "${book.title}"`);
+        const page = await client.findBookByTitle(databaseId, book.title, book.asin);
+        const assignAsin = !!page && !!book.asin && !(await client.getPageAsin(databaseId, page));
+        return { page, assignAsin };
+    }
+
+    return { page: null, assignAsin: false };
+}
+
+/**
+ * Whether highlights missing from the extraction may be treated as deleted
+ * An incomplete or empty extraction must never remove anything (incomplete books are no longer
+ * extracted, but checkpoints saved before that may still hold them)
+ */
+function canRemoveHighlights(book) {
+    return book.highlightsComplete !== false && book.highlights.length > 0;
+}
+
+/**
+ * Bring the highlight blocks of a book page in line with Kindle:
+ * add new highlights, rewrite edited ones in place and mark deleted ones
+ * @returns {Promise<{added: number, updated: number, removed: number, total: number}>}
+ */
+async function reconcileHighlightBlocks(client, pageId, book, options, { removedAction, allowChanges }) {
+    const blocks = await client.getHighlightBlocks(pageId);
+    const plan = await planHighlightChanges(book.highlights, blocks, {
+        allowRemovals: allowChanges && canRemoveHighlights(book)
+    });
+    console.log(`[Notion Sync] Reconcile: +${plan.added.length} ~${plan.updated.length} -${plan.removed.length} (=${plan.unchanged})`);
+
+    // Edits wait for a sync the user can preview, like removals
+    if (!allowChanges && plan.updated.length > 0) {
+        broadcastLog('info', `${plan.updated.length}件の変更は次回の手動同期で確認できます`);
+        plan.updated = [];
+    }
+
+    const rejectedAdds = plan.added.length > 0
+        ? await client.addHighlightBlocks(pageId, plan.added, options)
+        : [];
+    reportRejectedHighlights(rejectedAdds);
+
+    let updated = 0;
+    let restored = 0;
+    for (const { block, highlight } of plan.updated) {
+        if (options.checkSignal) {
+            await options.checkSignal();
+        }
+        try {
+            await client.updateHighlightBlock(block, highlight, options);
+        } catch (error) {
+            if (!isRejectedContent(error)) throw error;
+            reportRejectedHighlights([{ highlight, error }]);
+            continue;
+        }
+        updated++;
+        if (block.removed) restored++;
+    }
+
+    for (const block of plan.removed) {
+        if (options.checkSignal) {
+            await options.checkSignal();
+        }
+        await client.markHighlightRemoved(block, removedAction);
+    }
+
+    const added = plan.added.length - rejectedAdds.length;
+    const activeBlocks = blocks.filter(block => !block.removed).length;
+    return {
+        added,
+        updated,
+        removed: plan.removed.length,
+        total: activeBlocks + restored + added - plan.removed.length
+    };
+}
+
+/**
+ * Summarize what a reconciling sync would change, without writing anything
+ */
+async function previewHighlightChanges(client, books) {
+    try {
+        const settings = await chrome.storage.sync.get(['databaseId']);
+        if (!settings.databaseId) {
+            throw new Error('Notion設定が完了していません');
+        }
+
+        const preview = { newBooks: 0, added: 0, updated: 0, removed: 0, books: [] };
+
+        for (const book of books) {
+            try {
+                const { page } = await findBookPage(client, settings.databaseId, book);
+                if (!page) {
+                    preview.newBooks++;
+                    preview.added += book.highlights.length;
+                    continue;
+                }
+
+                const blocks = await client.getHighlightBlocks(page.id);
+                const plan = await planHighlightChanges(book.highlights, blocks, {
+                    allowRemovals: canRemoveHighlights(book)
+                });
+
+                preview.added += plan.added.length;
+                preview.updated += plan.updated.length;
+                preview.removed += plan.removed.length;
+                if (plan.updated.length > 0 || plan.removed.length > 0) {
+                    preview.books.push({
+                        title: book.title,
+                        added: plan.added.length,
+                        updated: plan.updated.length,
+                        removed: plan.removed.length
+                    });
+                }
+            } catch (error) {
+                console.warn(`[Notion Sync] Could not preview "${book.title}":`, error);
+            }
+        }
+
+        return { success: true, ...preview };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Create highlight pages for the highlights of a book that aren't in the highlights database yet
+ * @returns {Promise<{added: number, total: number}>}
+ */
+async function syncHighlightPages(client, highlightsDatabaseId, bookPageId, book, options) {
+    const existingIds = await client.getHighlightIds(highlightsDatabaseId, bookPageId);
+    let added = 0;
+
+    const rejected = [];
+
+    for (const highlight of book.highlights) {
+        if (await hasHighlightId(existingIds, book, highlight)) continue;
+        const highlightId = await getHighlightId(book, highlight);
+        if (options.checkSignal) {
+            await options.checkSignal();
+        }
+
+        try {
+            await client.createHighlightPage(highlightsDatabaseId, bookPageId, highlight, highlightId, options);
+        } catch (error) {
+            // A rejected highlight is reported and skipped, the rest of the book still syncs
+            if (!isRejectedContent(error)) throw error;
+            rejected.push({ highlight, error });
+            continue;
+        }
+        existingIds.add(highlightId);
+        added++;
+    }
+    reportRejectedHighlights(rejected);
+
+    console.log(`[Notion Sync] Highlight pages added: ${added}`);
+    return { added, total: existingIds.size };
+}
+
+/**
+ * Labels of the highlight colors used in a book, for the book's color label property
+ */
+function getBookColorLabels(book, colorLabels) {
+    const labels = book.highlights.map(highlight => highlight.color && colorLabels[highlight.color]);
+    return [...new Set(labels.filter(Boolean))];
+}
+
+/**
+ * Log the highlights Notion rejected, one line each so the passage can be found
+ */
+function reportRejectedHighlights(rejected) {
+    for (const { highlight, error } of rejected) {
+        const where = highlight.location ? `位置No. ${highlight.location}` : `"${highlight.text.substring(0, 20)}..."`;
+        console.error('[Notion Sync] Highlight rejected:', highlight, error);
+        broadcastLog('error', `✗ ハイライトを書き込めませんでした (${where}): ${error.message}`);
+    }
+}
+
+/**
+ * Errors that will fail every request of this sync (invalid token, no access)
+ */
+function isFatalNotionError(error) {
+    return error.status === 401 || error.code === 'unauthorized' || error.code === 'restricted_resource';
+}
+
 /**
  * Setup automatic sync with Chrome Alarms API
  */
@@ -216,38 +805,704 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
 
 /**
  * Perform automatic sync
+ * Runs the sync job unattended, unless a sync is already in progress
  */
 async function performAutoSync() {
+    if (isJobActive(currentJob)) {
+        console.log('[Notion Sync] Sync already running, auto sync skipped');
+        return;
+    }
+    // An interrupted sync is finished first (completed syncs don't leave a checkpoint)
+    const checkpoint = await loadCheckpoint();
+    startSyncJob('alarm', { resume: !!checkpoint });
+}
+
+// Sync job states, in pipeline order:
+// opening → counting → backfilling → comparing → extracting → (previewing → awaitingConfirmation) → syncing,
+// then one of the finished states. A dry run goes from extracting to planning instead
+const FINISHED_JOB_STATES = ['completed', 'failed', 'cancelled'];
+// Log lines kept on the job for attaching windows, and for the history record of the run
+const MAX_JOB_LOGS = 50;
+const MAX_RUN_LOGS = 2000;
+
+// The sync job (one at a time), observed by the popup and the sync window
+let currentJob = null;
+// Handles of the running job that are not part of its observable state
+let jobControl = null;
+
+class SyncCancelledError extends Error {
+    constructor() {
+        super('同期をキャンセルしました');
+        this.name = 'SyncCancelledError';
+    }
+}
+
+function isJobActive(job) {
+    return !!job && !FINISHED_JOB_STATES.includes(job.state);
+}
+
+// Dry runs and syncs of picked books leave the checkpoint of a full sync alone
+function usesCheckpoint(job) {
+    return !job.dryRun && !job.onlyBooks;
+}
+
+/**
+ * Start a sync job, or return the one already running
+ * @param {string} trigger - 'manual' (popup, sync window) or 'alarm'
+ * @param {Object} [options] - resume: continue the checkpoint of an interrupted sync,
+ *   onlyBooks: [{ asin, title }] to sync just these books, without scanning the library
+ */
+function startSyncJob(trigger = 'manual', { resume = false, onlyBooks = null } = {}) {
+    if (isJobActive(currentJob)) {
+        return { job: currentJob, alreadyRunning: true };
+    }
+
+    currentJob = {
+        id: Date.now().toString(36),
+        trigger,
+        resume,
+        dryRun: false,
+        onlyBooks,
+        state: 'opening',
+        startedAt: Date.now(),
+        finishedAt: null,
+        progress: { current: 0, total: 0, bookTitle: null, highlights: 0 },
+        preview: null,
+        result: null,
+        error: null,
+        paused: false,
+        // Library books scanned / skipped as unchanged by the extraction (unknown when resuming past it)
+        stats: { scanned: null, skipped: null },
+        bookErrors: [],
+        logs: []
+    };
+    jobControl = { tabId: null, client: null, cancelRequested: false, confirm: null, resumeWaiters: [], runLogs: [] };
+
+    runSyncJob(currentJob, jobControl);
+    return { job: currentJob };
+}
+
+/**
+ * Request cancellation of the running job
+ * Takes effect at the next check between books or Notion batches, so nothing is left half-written
+ */
+function cancelSyncJob() {
+    if (!isJobActive(currentJob)) {
+        return { cancelled: false };
+    }
+    jobControl.cancelRequested = true;
+    broadcastLog('warning', 'キャンセルしています...');
+    if (jobControl.confirm) {
+        jobControl.confirm(false);
+    }
+    releasePausedJob();
+    return { cancelled: true };
+}
+
+/**
+ * Pause or continue the running job
+ * A paused job stops at its next check and waits there
+ */
+function pauseSyncJob(paused) {
+    if (!isJobActive(currentJob) || jobControl.cancelRequested || currentJob.paused === paused) {
+        return { paused: !!(currentJob && currentJob.paused) };
+    }
+    currentJob.paused = paused;
+    broadcastLog('info', paused ? '一時停止しました' : '同期を再開しました');
+    if (!paused) {
+        releasePausedJob();
+    }
+    broadcastJob();
+    return { paused };
+}
+
+/**
+ * Wait while the job is paused; throws SyncCancelledError once it was cancelled
+ * Called between books and Notion batches, where stopping leaves every page consistent
+ */
+async function checkJobSignal() {
+    const control = jobControl;
+    if (!isJobActive(currentJob) || !control) return;
+
+    while (currentJob.paused && !control.cancelRequested) {
+        await new Promise(resolve => control.resumeWaiters.push(resolve));
+    }
+    if (control.cancelRequested) {
+        throw new SyncCancelledError();
+    }
+}
+
+function releasePausedJob() {
+    const waiters = jobControl.resumeWaiters;
+    jobControl.resumeWaiters = [];
+    waiters.forEach(resolve => resolve());
+}
+
+/**
+ * Answer the preview of a job waiting in awaitingConfirmation
+ */
+function confirmSyncJob(approved) {
+    if (!currentJob || currentJob.state !== 'awaitingConfirmation' || !jobControl.confirm) {
+        return { confirmed: false };
+    }
+    jobControl.confirm(!!approved);
+    return { confirmed: true };
+}
+
+/**
+ * Run the whole sync pipeline for a job:
+ * open the notebook tab, backfill, compare with Notion, extract, preview and sync
+ */
+async function runSyncJob(job, control) {
+    const stopKeepAlive = startKeepAlive();
+    const unattended = job.trigger === 'alarm';
+    // Read inside the try, so a failed read still finishes the job
+    let settings = {};
+
     try {
-        // Find Kindle notebook tab
-        const tabs = await chrome.tabs.query({
-            url: 'https://read.amazon.co.jp/notebook*'
+        settings = await chrome.storage.sync.get([
+            'notionToken', 'databaseId', 'propertyMapping', 'marketplace', 'reconcileHighlights', 'autoCloseWindow',
+            'dryRun', 'bookFilterMode', 'bookFilterList', 'highlightMode'
+        ]);
+        if (!settings.notionToken || !settings.databaseId) {
+            throw new Error('設定が完了していません。「設定」からNotion TokenとDatabase IDを入力してください。');
+        }
+
+        // Dry run is for syncs the user watches; auto sync keeps writing
+        job.dryRun = !!settings.dryRun && !unattended;
+        if (settings.dryRun && unattended) {
+            broadcastLog('info', 'ドライランは手動同期のみ対象です。自動同期はNotionに書き込みます');
+        }
+        // One client for the whole run, so the database schema is resolved once (a dry run only reads)
+        control.client = createNotionClient(settings.notionToken, {
+            propertyMapping: settings.propertyMapping,
+            readOnly: job.dryRun
         });
+        if (job.dryRun) {
+            await runDryRun(job, control, settings);
+            return;
+        }
 
-        if (tabs.length === 0) {
-            console.log('Auto sync: No Kindle notebook tab found');
+        const books = job.onlyBooks
+            ? await extractBooks(job, control, settings, [])
+            : await extractCheckpointedBooks(job, control, settings);
+        if (books.length === 0) {
+            broadcastLog('warning', '抽出された書籍がありません（キャッシュ済み、または変更なしの可能性があります）');
+            await finishJob(job, 'completed', { result: { totalProcessed: 0, newBooks: 0, updatedBooks: 0, newHighlights: 0 } });
             return;
         }
+        const extractedHighlights = books.reduce((sum, book) => sum + book.highlights.length, 0);
+        broadcastLog('success', `${books.length}冊の書籍を抽出完了（合計 ${extractedHighlights} 件のハイライト）`);
+
+        // Edits and removals of existing highlights need the user's approval;
+        // unattended syncs only add, and leave edits and removals for the next manual sync
+        let allowChanges = !unattended;
+        if (settings.reconcileHighlights && !unattended) {
+            setJobState(job, 'previewing');
+            const preview = await previewHighlightChanges(control.client, books);
+            if (!preview.success) {
+                throw new Error(preview.error);
+            }
+            broadcastLog('info', `変更プレビュー: 新規書籍 ${preview.newBooks}冊 / 追加 ${preview.added}件 / 更新 ${preview.updated}件 / 削除 ${preview.removed}件`);
+
+            if (preview.updated > 0 || preview.removed > 0) {
+                job.preview = preview;
+                const approved = await new Promise(resolve => {
+                    control.confirm = resolve;
+                    setJobState(job, 'awaitingConfirmation');
+                });
+                control.confirm = null;
+                job.preview = null;
+                if (!approved) {
+                    throw new SyncCancelledError();
+                }
+            }
+            allowChanges = true;
+        }
+        await checkJobSignal();
 
-        // Extract highlights from the tab
-        const response = await chrome.tabs.sendMessage(tabs[0].id, {
-            action: 'extractHighlights'
+        setJobState(job, 'syncing');
+        broadcastLog('info', 'Notionへの同期を開始...');
+        updateJobProgress({ current: 0, total: books.length, highlights: 0 });
+        const result = await syncBooksToNotion(control.client, books, {
+            allowChanges,
+            onBookSynced: book => recordSyncedBook(job, book),
+            checkSignal: checkJobSignal
         });
+        broadcastLog('success', `同期完了: ${result.newBooks}冊追加, ${result.newHighlights}件のハイライト`);
 
-        if (response.error) {
-            console.error('Auto sync extraction error:', response.error);
-            return;
+        await chrome.storage.local.set({ lastSync: Date.now() });
+        await updateTotalBooks(control.client);
+
+        await finishJob(job, 'completed', { result });
+    } catch (error) {
+        if (error instanceof SyncCancelledError) {
+            broadcastLog('warning', error.message);
+            await finishJob(job, 'cancelled');
+        } else {
+            console.error('[Notion Sync] Sync job error:', error);
+            broadcastLog('error', `エラー: ${error.message}`);
+            await finishJob(job, 'failed', { error: error.message });
+        }
+    } finally {
+        // Unattended syncs always clean up; manual ones keep the tab when autoCloseWindow is off
+        const autoClose = unattended || settings.autoCloseWindow !== false;
+        if (control.tabId && autoClose) {
+            chrome.tabs.remove(control.tabId).catch(() => { });
+        }
+        stopKeepAlive();
+    }
+}
+
+/**
+ * Extract the unwritten books of a full sync
+ * Extracted books and their write status are checkpointed as the sync goes
+ */
+async function extractCheckpointedBooks(job, control, settings) {
+    let checkpoint = job.resume ? await loadCheckpoint() : null;
+    if (job.resume && !checkpoint) {
+        throw new Error('再開できる同期がありません');
+    }
+    if (checkpoint) {
+        broadcastLog('info', `前回の同期を再開します（抽出済み ${checkpoint.books.length}冊 / 同期済み ${checkpoint.written.length}冊）`);
+    } else {
+        checkpoint = await startCheckpoint(job.id);
+    }
+
+    if (!checkpoint.extractionComplete) {
+        await extractToCheckpoint(job, control, settings, checkpoint);
+    }
+
+    checkpoint = await loadCheckpoint();
+    return (await loadCheckpointBooks(checkpoint))
+        .filter(book => !checkpoint.written.includes(getBookIdentity(book)));
+}
+
+/**
+ * Open the notebook tab and extract the books that changed since the last sync
+ * (or only the picked books of job.onlyBooks)
+ * In a full sync each extracted book is also saved to the checkpoint by the checkpointBook message
+ * @param {Array} skipBooks - Identities of books already extracted (resume)
+ * @returns {Promise<Array>} extracted books
+ */
+async function extractBooks(job, control, settings, skipBooks) {
+    setJobState(job, 'opening');
+    broadcastLog('info', 'Kindleページを開いています...');
+    control.tabId = await createNotebookTab(settings.marketplace);
+    broadcastLog('success', 'Kindleタブを作成しました');
+    // Picked books with an ASIN are fetched directly, without the rendered library list
+    await prepareNotebookTab(control.tabId, broadcastLog, {
+        waitForLibrary: !job.onlyBooks || job.onlyBooks.some(book => !book.asin)
+    });
+    await checkJobSignal();
+
+    if (job.onlyBooks) {
+        return extractPickedBooks(job, control);
+    }
+
+    setJobState(job, 'counting');
+    const countResponse = await chrome.tabs.sendMessage(control.tabId, { action: 'getBookCount' });
+    if (!countResponse || countResponse.count === undefined) {
+        throw new Error('書籍数を取得できませんでした（Kindleページで書籍一覧が表示されているか確認してください）');
+    }
+    if (countResponse.count === 0) {
+        throw new Error('書籍が見つかりません（Kindleにログインしているか確認してください）');
+    }
+    updateJobProgress({ current: 0, total: countResponse.count });
+    broadcastLog('info', `${countResponse.count}冊の書籍を検出`);
+    await checkJobSignal();
+
+    // The backfills write to Notion, so a dry run leaves them out
+    if (!job.dryRun) {
+        setJobState(job, 'backfilling');
+        await backfillLibrary(control.client, control.tabId);
+        await checkJobSignal();
+    }
+
+    setJobState(job, 'comparing');
+    broadcastLog('info', 'Notionから既存書籍のハイライト数を取得中...');
+    let notionCounts = {};
+    let notionAsinCounts = {};
+    try {
+        const { counts, asinCounts } = await getNotionHighlightCounts(control.client);
+        notionCounts = counts;
+        notionAsinCounts = asinCounts || {};
+        broadcastLog('success', `Notionに${Object.keys(notionCounts).length}冊の書籍を確認`);
+    } catch (error) {
+        broadcastLog('warning', `Notionからの取得に失敗: ${error.message}`);
+        broadcastLog('info', '全書籍を処理します（ローカルキャッシュを使用）');
+    }
+    await checkJobSignal();
+
+    setJobState(job, 'extracting');
+    broadcastLog('info', '全書籍の抽出を開始します...');
+    let response;
+    try {
+        response = await chrome.tabs.sendMessage(control.tabId, {
+            action: 'extractAllBooksAuto',
+            notionCounts,
+            notionAsinCounts,
+            // Books extracted before the interruption are not fetched again
+            skipBooks,
+            bookFilter: getBookFilter(settings),
+            // A preview must leave the local smart-diff counts alone
+            dryRun: job.dryRun,
+            // Edits and deletions keep the count (or lower it), so every book is read again
+            reconcile: rereadsSyncedBooks(job, settings)
+        });
+    } catch (error) {
+        throw new Error(`抽出エラー: ${error.message}`);
+    }
+    await checkJobSignal();
+    if (!response || response.error) {
+        throw new Error(response ? response.error : '抽出結果がありません');
+    }
+    job.stats = { scanned: response.scanned, skipped: response.skipped };
+    job.bookErrors.push(...(response.errors || []));
+    return response.books || [];
+}
+
+/**
+ * Extract the books picked in the sync window, skipping the library count, backfills and Notion diff
+ */
+async function extractPickedBooks(job, control) {
+    setJobState(job, 'extracting');
+    broadcastLog('info', `選択した${job.onlyBooks.length}冊を抽出します...`);
+    updateJobProgress({ current: 0, total: job.onlyBooks.length });
+    let response;
+    try {
+        response = await chrome.tabs.sendMessage(control.tabId, {
+            action: 'extractSelectedBooks',
+            books: job.onlyBooks
+        });
+    } catch (error) {
+        throw new Error(`抽出エラー: ${error.message}`);
+    }
+    await checkJobSignal();
+    if (!response || response.error) {
+        throw new Error(response ? response.error : '抽出結果がありません');
+    }
+    job.stats = { scanned: response.scanned, skipped: response.skipped };
+    job.bookErrors.push(...(response.errors || []));
+    return response.books || [];
+}
+
+/**
+ * Whether the sync reads every book already in Notion again, not only those with more highlights
+ * Only block mode reconciles, and auto sync only adds highlights
+ */
+function rereadsSyncedBooks(job, settings) {
+    return !!settings.reconcileHighlights && settings.highlightMode !== 'database' && job.trigger !== 'alarm';
+}
+
+/**
+ * The include/exclude list of the book picker (null when nothing is listed)
+ */
+function getBookFilter(settings) {
+    const books = settings.bookFilterList || [];
+    if (books.length === 0) return null;
+    return { mode: settings.bookFilterMode === 'include' ? 'include' : 'exclude', books };
+}
+
+/**
+ * Extract into the checkpoint of a real sync
+ */
+async function extractToCheckpoint(job, control, settings, checkpoint) {
+    const books = await extractBooks(job, control, settings, checkpoint.books);
+
+    // Books whose checkpoint message was lost are saved from the final result
+    const saved = new Set((await loadCheckpoint()).books);
+    for (const book of books) {
+        if (!saved.has(getBookIdentity(book))) {
+            await saveCheckpointBook(book);
+        }
+    }
+    await completeExtraction();
+}
+
+/**
+ * Dry run: extract as usual, then only look up what a sync would write
+ * Nothing is written to Notion or to the checkpoint
+ */
+async function runDryRun(job, control, settings) {
+    broadcastLog('warning', 'ドライラン: Notionには書き込みません');
+    const books = await extractBooks(job, control, settings, []);
+
+    setJobState(job, 'planning');
+    broadcastLog('info', `${books.length}冊の変更内容を確認中...`);
+    const plan = await planBookWrites(control.client, books);
+
+    const result = {
+        dryRun: true,
+        plan,
+        totalProcessed: books.length,
+        newBooks: plan.filter(entry => entry.action === 'create').length,
+        updatedBooks: plan.filter(entry => entry.action === 'append').length,
+        newHighlights: plan.reduce((sum, entry) => sum + entry.highlights.length, 0)
+    };
+    broadcastLog('success', `ドライラン完了: 新規 ${result.newBooks}冊 / 追加あり ${result.updatedBooks}冊 / ${result.newHighlights}件のハイライト`);
+    await finishJob(job, 'completed', { result });
+}
+
+/**
+ * Look up, with the read-only client of the dry run, what a sync would write for each book
+ * @returns {Promise<Array<{title, action: 'create'|'append'|'noChange', highlights, updated, removed, error}>>}
+ *   highlights are the ones that would be added
+ */
+async function planBookWrites(client, books) {
+    const settings = await chrome.storage.sync.get([
+        'databaseId', 'highlightMode', 'highlightsDatabaseId', 'reconcileHighlights'
+    ]);
+    const highlightMode = settings.highlightMode || 'blocks';
+    const plan = [];
+
+    for (let i = 0; i < books.length; i++) {
+        const book = books[i];
+        await checkJobSignal();
+        broadcastProgress(i + 1, books.length, book.title, null);
+
+        const entry = { title: book.title, asin: book.asin || '', action: 'noChange', highlights: [], updated: 0, removed: 0 };
+        try {
+            const { page } = await findBookPage(client, settings.databaseId, book);
+            let added = book.highlights;
+
+            if (!page) {
+                entry.action = 'create';
+            } else if (highlightMode === 'database') {
+                const existingIds = await client.getHighlightIds(settings.highlightsDatabaseId, page.id);
+                added = [];
+                for (const highlight of book.highlights) {
+                    if (!(await hasHighlightId(existingIds, book, highlight))) {
+                        added.push(highlight);
+                    }
+                }
+            } else if (settings.reconcileHighlights) {
+                const changes = await planHighlightChanges(book.highlights, await client.getHighlightBlocks(page.id), {
+                    allowRemovals: canRemoveHighlights(book)
+                });
+                added = changes.added;
+                entry.updated = changes.updated.length;
+                entry.removed = changes.removed.length;
+            } else {
+                const existingKeys = new Set(await client.getExistingHighlights(page.id));
+                added = [];
+                for (const highlight of book.highlights) {
+                    const keyed = await withHighlightKey(highlight);
+                    if (!(await hasHighlightKey(existingKeys, keyed))) {
+                        existingKeys.add(keyed.key);
+                        added.push(keyed);
+                    }
+                }
+            }
+
+            if (page && (added.length > 0 || entry.updated > 0 || entry.removed > 0)) {
+                entry.action = 'append';
+            }
+            entry.highlights = added.map(({ text, location, page: pageNumber, note }) => ({ text, location, page: pageNumber, note }));
+        } catch (error) {
+            console.warn(`[Notion Sync] Could not plan "${book.title}":`, error);
+            entry.error = error.message;
         }
+        plan.push(entry);
+    }
 
-        // Sync to Notion
-        const result = await syncBooksToNotion(response.books);
-        console.log('Auto sync completed:', result);
+    return plan;
+}
 
+/**
+ * Store the number of book pages in the database (shown in the popup)
+ */
+async function updateTotalBooks(client) {
+    try {
+        const { total } = await getNotionHighlightCounts(client);
+        await chrome.storage.local.set({ totalBooks: total });
     } catch (error) {
-        console.error('Auto sync error:', error);
+        console.warn('[Notion Sync] Could not count book pages:', error);
+    }
+}
+
+/**
+ * Record a book written to Notion: checkpoint status and the library count used by the local smart diff
+ */
+async function recordSyncedBook(job, book) {
+    if (usesCheckpoint(job)) {
+        await markBookWritten(book);
+    }
+    if (book.countKey && book.libraryHighlightCount > 0) {
+        const { bookHighlightCounts = {} } = await chrome.storage.local.get('bookHighlightCounts');
+        bookHighlightCounts[book.countKey] = book.libraryHighlightCount;
+        await chrome.storage.local.set({ bookHighlightCounts });
     }
 }
 
+/**
+ * Summary of the checkpoint of an interrupted sync (null when there is none)
+ */
+async function getSyncCheckpoint() {
+    const checkpoint = await loadCheckpoint();
+    if (!checkpoint || isJobActive(currentJob)) {
+        return { checkpoint: null };
+    }
+    return {
+        checkpoint: {
+            startedAt: checkpoint.startedAt,
+            extracted: checkpoint.books.length,
+            written: checkpoint.written.length,
+            extractionComplete: checkpoint.extractionComplete
+        }
+    };
+}
+
+/**
+ * Move the job to a finished state and record the outcome of unattended runs
+ */
+async function finishJob(job, state, { result = null, error = null } = {}) {
+    job.result = result;
+    job.error = error;
+    job.finishedAt = Date.now();
+
+    // Keep the checkpoint of an interrupted sync, so it can be resumed
+    // A completed sync drops it even with unwritten books: those failed on their own and are
+    // picked up again by the next smart diff, as Notion doesn't have their highlights yet
+    const checkpoint = usesCheckpoint(job) ? await loadCheckpoint() : null;
+    if (checkpoint) {
+        const remaining = checkpoint.books.length - checkpoint.written.length;
+        if (state === 'completed' || checkpoint.books.length === 0) {
+            await clearCheckpoint();
+        } else if (remaining > 0) {
+            broadcastLog('info', `${remaining}冊が未同期です。「前回の同期を再開」で続きから同期できます`);
+        }
+    }
+    setJobState(job, state);
+
+    await recordSyncRun({
+        id: job.id,
+        trigger: job.trigger,
+        resume: job.resume,
+        dryRun: job.dryRun,
+        onlyBooks: job.onlyBooks,
+        status: state,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        scanned: job.stats.scanned,
+        skipped: job.stats.skipped,
+        processed: result ? result.totalProcessed : 0,
+        newBooks: result ? result.newBooks : 0,
+        updatedBooks: result ? result.updatedBooks : 0,
+        newHighlights: result ? result.newHighlights : 0,
+        error,
+        bookErrors: [...job.bookErrors, ...(result ? result.bookErrors || [] : [])],
+        plan: result && result.dryRun ? result.plan : undefined,
+        logs: jobControl.runLogs
+    });
+
+    if (job.trigger === 'alarm') {
+        await chrome.storage.local.set({
+            lastAutoSync: {
+                status: state === 'completed' ? 'success' : 'error',
+                error,
+                processed: result ? result.totalProcessed : 0,
+                newBooks: result ? result.newBooks : 0,
+                newHighlights: result ? result.newHighlights : 0,
+                startedAt: job.startedAt,
+                finishedAt: job.finishedAt
+            }
+        });
+    }
+}
+
+function setJobState(job, state) {
+    job.state = state;
+    console.log(`[Notion Sync] Job ${job.id}: ${state}`);
+    broadcastJob();
+}
+
+function updateJobProgress(progress) {
+    if (!isJobActive(currentJob)) return;
+    Object.assign(currentJob.progress, progress);
+}
+
+/**
+ * Keep the latest log lines on the job, replayed when a sync window attaches later
+ */
+function recordJobLog(type, message) {
+    if (!isJobActive(currentJob)) return;
+    const entry = { type, message, time: Date.now() };
+    currentJob.logs.push(entry);
+    if (currentJob.logs.length > MAX_JOB_LOGS) {
+        currentJob.logs.shift();
+    }
+    if (jobControl.runLogs.length < MAX_RUN_LOGS) {
+        jobControl.runLogs.push(entry);
+    }
+}
+
+/**
+ * Keep the service worker alive while a job runs
+ * Extension API calls reset the idle timer, so a periodic no-op call is enough
+ */
+function startKeepAlive() {
+    const timer = setInterval(() => chrome.runtime.getPlatformInfo(), 20000);
+    return () => clearInterval(timer);
+}
+
+/**
+ * Run the one-time ASIN and cover backfills from the library list of a notebook tab
+ * Failures are logged only, they never stop the sync
+ */
+async function backfillLibrary(client, tabId) {
+    try {
+        const libraryResponse = await chrome.tabs.sendMessage(tabId, { action: 'getLibraryBooks' });
+        if (!libraryResponse || !libraryResponse.books) return;
+        await cacheLibraryBooks(libraryResponse.books);
+
+        const asins = await backfillAsins(client, libraryResponse.books);
+        if (asins.updated) {
+            broadcastLog('success', `${asins.updated}冊の既存ページにASINを追加`);
+        }
+        const covers = await backfillCovers(client, libraryResponse.books);
+        if (covers.updated) {
+            broadcastLog('success', `${covers.updated}冊の既存ページに表紙を設定`);
+        }
+    } catch (error) {
+        console.warn('[Notion Sync] Library backfill failed:', error);
+        broadcastLog('warning', `既存ページの補完に失敗: ${error.message}`);
+    }
+}
+
+/**
+ * Read the library list in a notebook tab of its own, for the book picker
+ */
+async function refreshLibraryBooks() {
+    const settings = await chrome.storage.sync.get(['marketplace']);
+    const tabId = await createNotebookTab(settings.marketplace);
+    try {
+        await prepareNotebookTab(tabId);
+        const response = await chrome.tabs.sendMessage(tabId, { action: 'getLibraryBooks' });
+        if (!response || response.error) {
+            throw new Error(response ? response.error : '書籍一覧を取得できませんでした');
+        }
+        if (response.books.length === 0) {
+            throw new Error('書籍が見つかりません（Kindleにログインしているか確認してください）');
+        }
+        return { library: await cacheLibraryBooks(response.books) };
+    } finally {
+        chrome.tabs.remove(tabId).catch(() => { });
+    }
+}
+
+/**
+ * Keep the library list in chrome.storage.local for the book picker
+ */
+async function cacheLibraryBooks(books) {
+    const library = {
+        updatedAt: Date.now(),
+        books: books.map(book => ({ title: book.title, asin: book.asin }))
+    };
+    await chrome.storage.local.set({ libraryBooks: library });
+    return library;
+}
+
 // Initialize alarm on startup if auto sync is enabled
 chrome.runtime.onStartup.addListener(async () => {
     const settings = await chrome.storage.sync.get(['autoSync', 'syncInterval']);
@@ -270,6 +1525,7 @@ chrome.runtime.onInstalled.addListener(async () => {
  * Broadcast progress update to sync window
  */
 function broadcastProgress(current, total, bookTitle, highlightsCount) {
+    updateJobProgress({ current, total, bookTitle, highlights: highlightsCount });
     chrome.runtime.sendMessage({
         action: 'syncProgress',
         current,
@@ -283,6 +1539,7 @@ function broadcastProgress(current, total, bookTitle, highlightsCount) {
  * Broadcast log message to sync window
  */
 function broadcastLog(type, message) {
+    recordJobLog(type, message);
     chrome.runtime.sendMessage({
         action: 'syncLog',
         type,
@@ -291,8 +1548,11 @@ function broadcastLog(type, message) {
 }
 
 /**
- * Delay helper for rate limiting
+ * Broadcast the state of the sync job to the popup and sync window
  */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+function broadcastJob() {
+    chrome.runtime.sendMessage({
+        action: 'syncJobUpdate',
+        job: currentJob
+    }).catch(() => { });
 }
@@ -4,8 +4,25 @@
 (function () {
     'use strict';
 
+    // Store and image hosts of this page's marketplace, from lib/marketplaces.js (shared with the service worker)
+    let marketplaceHosts = null;
+    const marketplaceReady = import(chrome.runtime.getURL('lib/marketplaces.js'))
+        .then(({ getMarketplace, findMarketplaceId }) => {
+            marketplaceHosts = getMarketplace(findMarketplaceId(window.location.hostname));
+        })
+        .catch(error => console.warn('[Kindle2Notion] Could not load marketplaces:', error));
+
     // Listen for messages from popup or sync window
+    // Requests wait for the marketplace hosts, which most extractions use
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        marketplaceReady.then(() => handleMessage(request, sendResponse));
+        return true; // Keep the message channel open for async response
+    });
+
+    /**
+     * Handle a request from the service worker, popup or sync window
+     */
+    function handleMessage(request, sendResponse) {
         if (request.action === 'extractHighlights') {
             try {
                 const books = extractAllBooks();
@@ -16,28 +33,56 @@
         } else if (request.action === 'extractAllBooksAuto') {
             // Auto-extract all books by clicking through each one
             // Pass Notion highlight counts for cross-device diff sync
-            extractAllBooksAuto(request.notionCounts || {})
-                .then(books => sendResponse({ books }))
+            extractAllBooksAuto(request.notionCounts || {}, request.notionAsinCounts || {}, request.skipBooks || [], request.bookFilter || null, !!request.dryRun, !!request.reconcile)
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ error: error.message }));
+        } else if (request.action === 'extractSelectedBooks') {
+            // Extract only the picked books, without the smart diff over the library
+            extractSelectedBooks(request.books || [])
+                .then(result => sendResponse(result))
+                .catch(error => sendResponse({ error: error.message }));
+        } else if (request.action === 'getLibraryBooks') {
+            // Titles, ASINs and covers of the library (used for the ASIN and cover backfills)
+            collectLibraryContainers()
+                .then(bookContainers => sendResponse({
+                    books: bookContainers.map((container, i) => {
+                        const titleEl = container.querySelector('h2');
+                        const asin = getContainerAsin(container);
+                        const thumbnailUrl = getContainerThumbnailUrl(container);
+                        const amazonUrl = asin ? `https://${getMarketplaceHosts().storeHost}/dp/${asin}` : '';
+                        return {
+                            title: titleEl ? titleEl.textContent.trim() : `book_${i}`,
+                            asin,
+                            coverUrl: getHighResCoverUrl(thumbnailUrl, amazonUrl),
+                            thumbnailUrl
+                        };
+                    })
+                }))
                 .catch(error => sendResponse({ error: error.message }));
-            return true; // Keep channel open for async
         } else if (request.action === 'getBookCount') {
             // Just return the number of books
-            const bookContainers = document.querySelectorAll('.kp-notebook-library-each-book');
-            sendResponse({ count: bookContainers.length });
+            collectLibraryContainers()
+                .then(bookContainers => sendResponse({ count: bookContainers.length }))
+                .catch(error => sendResponse({ error: error.message }));
         } else if (request.action === 'extractAllBooksAutoWithProgress') {
             // Auto-extract with progress updates to sync window
             extractAllBooksAutoWithProgress()
                 .then(books => sendResponse({ books }))
                 .catch(error => sendResponse({ error: error.message }));
-            return true; // Keep channel open for async
         }
-        return true; // Keep the message channel open for async response
-    });
+    }
 
     /**
      * Auto-extract all books by clicking through each one
      * Uses smart diff check to only process books with changed highlight counts
      * @param {Object} notionCounts - Highlight counts from Notion for cross-device sync
+     * @param {Object} notionAsinCounts - Same counts keyed by ASIN (preferred over the title)
+     * @param {Array} skipBooks - ASINs or titles already extracted by the sync being resumed
+     * @param {Object|null} bookFilter - { mode: 'include'|'exclude', books: ASINs or titles } picked by the user
+     * @param {boolean} dryRun - Preview only: the local highlight counts are left as they are
+     * @param {boolean} reconcile - Edits and deletions are synced, so books already in Notion are read again
+     *   whatever their count
+     * @returns {Promise<{books, scanned, skipped, errors: Array<{title, message}>}>}
      */
     // ★ テストモード: 処理する書籍数を制限 (0 = 無制限)
     let cachedTestBookLimit = null;
@@ -55,9 +100,12 @@
         return cachedTestBookLimit;
     }
 
-    async function extractAllBooksAuto(notionCounts = {}) {
+    // Highlight count in the library list (Japanese, English, German, French)
+    const HIGHLIGHT_COUNT_PATTERN = /(\d+)\s*(?:\u500b\u306e\u30cf\u30a4\u30e9\u30a4\u30c8|\u4ef6\u306e\u30cf\u30a4\u30e9\u30a4\u30c8|\u30cf\u30a4\u30e9\u30a4\u30c8|highlights?|Markierungen?|surlignements?)/i;
+
+    async function extractAllBooksAuto(notionCounts = {}, notionAsinCounts = {}, skipBooks = [], bookFilter = null, dryRun = false, reconcile = false) {
         const allBooks = [];
-        const bookContainers = document.querySelectorAll('.kp-notebook-library-each-book');
+        const bookContainers = await collectLibraryContainers();
 
         console.log(`[Kindle2Notion] Starting smart auto-extraction of ${bookContainers.length} books...`);
         console.log(`[Kindle2Notion] Notion counts available for ${Object.keys(notionCounts).length} books`);
@@ -68,12 +116,12 @@
             if (singleBook) {
                 allBooks.push(singleBook);
             }
-            return allBooks;
+            return { books: allBooks, scanned: allBooks.length, skipped: 0, errors: [] };
         }
 
         // Use Notion counts for comparison (cross-device sync)
         // If Notion counts are available, use them; otherwise fall back to local cache
-        const useNotionCounts = Object.keys(notionCounts).length > 0;
+        const useNotionCounts = Object.keys(notionCounts).length > 0 || Object.keys(notionAsinCounts).length > 0;
         let savedCounts = notionCounts;
 
         if (!useNotionCounts) {
@@ -89,6 +137,7 @@
         }
 
         const newCounts = {};
+        const alreadyExtracted = new Set(skipBooks);
         const isFirstSync = Object.keys(savedCounts).length === 0;
 
         let skippedBooks = 0;
@@ -101,17 +150,7 @@
         const booksToProcess = [];
         for (let i = 0; i < bookContainers.length; i++) {
             const container = bookContainers[i];
-            const titleEl = container.querySelector('h2');
-            const title = titleEl ? titleEl.textContent.trim() : `book_${i}`;
-
-            // Extract highlight count from the container text
-            const containerText = container.textContent || '';
-            // Try multiple patterns for Japanese and English
-            const highlightMatch = containerText.match(/(\d+)\s*(?:\u500b\u306e\u30cf\u30a4\u30e9\u30a4\u30c8|\u4ef6\u306e\u30cf\u30a4\u30e9\u30a4\u30c8|\u30cf\u30a4\u30e9\u30a4\u30c8|highlights?)/i);
-            const currentHighlightCount = highlightMatch ? parseInt(highlightMatch[1], 10) : -1;
-
-            // Create a unique key for this book (for local cache)
-            const bookKey = title.substring(0, 50).replace(/[^a-zA-Z0-9぀-ゟ゠-ヿ一-鿿]/g, '_');
+            const { title, asin, highlightCount: currentHighlightCount, bookKey } = describeLibraryBook(container, i);
             if (currentHighlightCount > 0) {
                 newCounts[bookKey] = currentHighlightCount;
             }
@@ -119,8 +158,19 @@
             // Check if we need to process this book
             // For Notion: check if title EXISTS (not just count comparison)
             // This handles cases where highlight count can't be extracted from list view
-            const existsInNotion = useNotionCounts && notionCounts[title] !== undefined;
-            const savedCount = useNotionCounts ? (notionCounts[title] || 0) : (savedCounts[bookKey] || 0);
+            if (alreadyExtracted.has(asin || title)) {
+                console.log(`[Kindle2Notion] Already extracted by the resumed sync: "${title.substring(0, 40)}..."`);
+                skippedBooks++;
+                continue;
+            }
+            if (!isPickedByFilter(bookFilter, asin || title)) {
+                console.log(`[Kindle2Notion] Left out by the book filter: "${title.substring(0, 40)}..."`);
+                skippedBooks++;
+                continue;
+            }
+            const notionCount = asin && notionAsinCounts[asin] !== undefined ? notionAsinCounts[asin] : notionCounts[title];
+            const existsInNotion = useNotionCounts && notionCount !== undefined;
+            const savedCount = useNotionCounts ? (notionCount || 0) : (savedCounts[bookKey] || 0);
 
             // Debug: show matching status
             if (useNotionCounts) {
@@ -130,6 +180,7 @@
             // Decision logic:
             // 1. If book exists in Notion AND kindle highlight count unknown (-1) ? skip (already synced)
             // 2. If book exists in Notion AND kindle count > saved count ? process (new highlights)
+            //    With reconcile on ? process (an edit keeps the count, a deletion lowers it)
             // 3. If book NOT in Notion ? process (new book)
             // 4. First sync (no saved counts) ? process all
             let shouldProcess = false;
@@ -138,8 +189,11 @@
             } else if (isFirstSync) {
                 shouldProcess = true;
             } else if (existsInNotion) {
-                // Book exists in Notion - only process if we KNOW there are more highlights
-                if (currentHighlightCount > 0 && currentHighlightCount > savedCount) {
+                // Book exists in Notion - only process if we KNOW there are more highlights,
+                // unless edits and deletions are synced too
+                if (reconcile) {
+                    shouldProcess = true;
+                } else if (currentHighlightCount > 0 && currentHighlightCount > savedCount) {
                     shouldProcess = true;
                     console.log(`[Kindle2Notion] More highlights detected: ${currentHighlightCount} > ${savedCount}`);
                 } else {
@@ -153,7 +207,7 @@
 
             if (shouldProcess) {
                 console.log(`[Kindle2Notion] Will process: "${title}" (kindle: ${currentHighlightCount}, saved: ${savedCount})`);
-                booksToProcess.push({ index: i, container, title, highlightCount: currentHighlightCount, bookKey });
+                booksToProcess.push({ index: i, container, title, highlightCount: currentHighlightCount, bookKey, asin });
             }
         }
 
@@ -172,9 +226,15 @@
         // Send initial log to sync window
         sendLog('info', `${booksToProcess.length} books to process, ${skippedBooks} skipped`);
         let totalExtractedHighlights = 0;
+        const errors = [];
 
         // Second pass: process only changed books
         for (const book of booksToProcess) {
+            // Books extracted so far are already checkpointed, so stopping here loses nothing
+            if (await shouldStopExtraction()) {
+                console.log('[Kindle2Notion] Extraction cancelled');
+                break;
+            }
             try {
                 processedBooks++;
                 console.log(`[Kindle2Notion] Processing book ${processedBooks}/${booksToProcess.length}: ${book.title}`);
@@ -183,40 +243,14 @@
                 sendProgress(processedBooks, booksToProcess.length, book.title, totalExtractedHighlights);
                 sendLog('info', `[${processedBooks}/${booksToProcess.length}] ${book.title.substring(0, 35)}...`);
 
-                clickBookContainer(book.container);
-
-                // Wait for highlights to load
-                let titleUpdated = await waitForTitleUpdate(book.title, book.container);
-                if (!titleUpdated) {
-                    // Retry once in case the click didn't register
-                    clickBookContainer(book.container);
-                    titleUpdated = await waitForTitleUpdate(book.title, book.container);
-                }
-                if (!titleUpdated) {
-                    if (isBookSelected(book.container)) {
-                        sendLog('warning', `Title not matched but selected, proceeding: ${book.title.substring(0, 30)}...`);
-                    } else {
-                        sendLog('warning', `Title not updated, skipping: ${book.title.substring(0, 30)}...`);
-                        continue;
-                    }
-                }
-                await delay(500);
-
                 // Extract book info and highlights
-                let highlights = extractHighlightsFromPage();
-
-                if (highlights.length === 0) {
-                    await delay(400);
-                    highlights = extractHighlightsFromPage();
+                const bookData = await extractBook(book);
+                if (!bookData) {
+                    continue;
                 }
+                const highlights = bookData.highlights;
 
                 if (highlights.length > 0 || testModeActive) {
-                    let bookData = extractCurrentBook();
-                    if (!bookData) {
-                        console.log(`[Kindle2Notion] extractCurrentBook() returned null, using extractBookInfoFromContainer`);
-                        bookData = extractBookInfoFromContainer(book.container);
-                    }
-                    bookData.highlights = highlights;
                     totalExtractedHighlights += highlights.length;
 
                     console.log(`[Kindle2Notion] Book "${bookData.title}": ${highlights.length} highlights extracted`);
@@ -224,6 +258,11 @@
                     sendLog('success', `${highlights.length} highlights`);
                     // Update highlight count in progress
                     sendProgress(processedBooks, booksToProcess.length, null, totalExtractedHighlights);
+
+                    // Library count, recorded by the background once the book reaches Notion
+                    bookData.countKey = book.bookKey;
+                    bookData.libraryHighlightCount = book.highlightCount;
+                    await saveCheckpointBook(bookData);
                     allBooks.push(bookData);
                 } else {
                     sendLog('warning', 'No highlights');
@@ -235,10 +274,19 @@
             } catch (error) {
                 console.error(`[Kindle2Notion] Error processing book "${book.title}":`, error);
                 sendLog('error', `Error: ${book.title.substring(0, 30)}`);
+                errors.push({ title: book.title, message: error.message });
             }
         }
 
         // Save updated counts to local storage
+        // Books sent for syncing are left out: their count is saved after the Notion write
+        for (const book of booksToProcess) {
+            delete newCounts[book.bookKey];
+        }
+        if (dryRun) {
+            console.log(`[Kindle2Notion] Dry run complete: ${allBooks.length} books extracted, local counts unchanged`);
+            return { books: allBooks, scanned: bookContainers.length, skipped: skippedBooks, errors };
+        }
         try {
             // Merge with existing counts (don't lose data for books not in current view)
             const mergedCounts = { ...savedCounts, ...newCounts };
@@ -249,7 +297,111 @@
         }
 
         console.log(`[Kindle2Notion] Smart extraction complete: ${allBooks.length} books processed, ${skippedBooks} skipped`);
-        return allBooks;
+        return { books: allBooks, scanned: bookContainers.length, skipped: skippedBooks, errors };
+    }
+
+    /**
+     * Extract the given books only ("sync just this book")
+     * Every picked book is extracted, whatever its highlight count in Notion
+     * Books with an ASIN are fetched directly, so they need not be rendered in the library list
+     * @param {Array<{asin, title}>} picked
+     * @returns {Promise<{books, scanned, skipped, errors: Array<{title, message}>}>}
+     */
+    async function extractSelectedBooks(picked) {
+        // Rendered entries add the library highlight count; the full list is only fetched for books without an ASIN
+        const rendered = Array.from(document.querySelectorAll('.kp-notebook-library-each-book'))
+            .map((container, i) => describeLibraryBook(container, i));
+        const targets = [];
+        let libraryBooks = null;
+        for (const book of picked) {
+            const identity = book.asin || book.title;
+            let listed = rendered.find(entry => (entry.asin || entry.title) === identity);
+            if (!listed && !book.asin) {
+                // Without an ASIN the book can only be opened from its library entry
+                libraryBooks = libraryBooks || (await collectLibraryContainers()).map((container, i) => describeLibraryBook(container, i));
+                listed = libraryBooks.find(entry => entry.title === book.title);
+                if (!listed) {
+                    sendLog('warning', `Not found in the library: ${book.title.substring(0, 30)}`);
+                    continue;
+                }
+            }
+            targets.push(listed || {
+                index: -1,
+                container: null,
+                title: book.title,
+                asin: book.asin,
+                highlightCount: -1,
+                bookKey: getBookKey(book.title)
+            });
+        }
+
+        const allBooks = [];
+        const errors = [];
+        let totalExtractedHighlights = 0;
+        for (let i = 0; i < targets.length; i++) {
+            const book = targets[i];
+            if (await shouldStopExtraction()) {
+                console.log('[Kindle2Notion] Extraction cancelled');
+                break;
+            }
+            try {
+                sendProgress(i + 1, targets.length, book.title, totalExtractedHighlights);
+                sendLog('info', `[${i + 1}/${targets.length}] ${book.title.substring(0, 35)}...`);
+
+                const bookData = await extractBook(book);
+                if (!bookData) {
+                    continue;
+                }
+                if (bookData.highlights.length === 0) {
+                    sendLog('warning', 'No highlights');
+                    continue;
+                }
+                totalExtractedHighlights += bookData.highlights.length;
+                sendLog('success', `${bookData.highlights.length} highlights`);
+                sendProgress(i + 1, targets.length, null, totalExtractedHighlights);
+
+                bookData.countKey = book.bookKey;
+                bookData.libraryHighlightCount = book.highlightCount;
+                allBooks.push(bookData);
+            } catch (error) {
+                console.error(`[Kindle2Notion] Error processing book "${book.title}":`, error);
+                sendLog('error', `Error: ${book.title.substring(0, 30)}`);
+                errors.push({ title: book.title, message: error.message });
+            }
+        }
+
+        return { books: allBooks, scanned: targets.length, skipped: 0, errors };
+    }
+
+    /**
+     * Read what the library list shows about a book
+     * @returns {{index, container, title, asin, highlightCount, bookKey}} highlightCount is -1 when not shown
+     */
+    function describeLibraryBook(container, index) {
+        const titleEl = container.querySelector('h2');
+        const title = titleEl ? titleEl.textContent.trim() : `book_${index}`;
+
+        // Extract highlight count from the container text
+        const highlightMatch = (container.textContent || '').match(HIGHLIGHT_COUNT_PATTERN);
+        const highlightCount = highlightMatch ? parseInt(highlightMatch[1], 10) : -1;
+
+        return { index, container, title, asin: getContainerAsin(container), highlightCount, bookKey: getBookKey(title) };
+    }
+
+    /**
+     * Create a unique key for a book (for local cache)
+     */
+    function getBookKey(title) {
+        return title.substring(0, 50).replace(/[^a-zA-Z0-9぀-ゟ゠-ヿ一-鿿]/g, '_');
+    }
+
+    /**
+     * Whether the user's book filter lets a book into a full sync
+     */
+    function isPickedByFilter(bookFilter, identity) {
+        if (!bookFilter || !bookFilter.books) return true;
+        const listed = bookFilter.books.includes(identity);
+        return bookFilter.mode === 'include' ? listed : !listed;
     }
 
     /**
@@ -257,7 +409,7 @@
      */
     async function extractAllBooksAutoWithProgress() {
         const allBooks = [];
-        const bookContainers = document.querySelectorAll('.kp-notebook-library-each-book');
+        const bookContainers = await collectLibraryContainers();
 
         // Send initial progress
         sendProgress(0, bookContainers.length, 'Scanning...');
@@ -290,7 +442,7 @@
             const title = titleEl ? titleEl.textContent.trim() : `book_${i}`;
 
             const containerText = container.textContent || '';
-            const highlightMatch = containerText.match(/(\d+)\s*(?:\u500b\u306e\u30cf\u30a4\u30e9\u30a4\u30c8|\u30cf\u30a4\u30e9\u30a4\u30c8|highlights?)/i);
+            const highlightMatch = containerText.match(HIGHLIGHT_COUNT_PATTERN);
             const currentHighlightCount = highlightMatch ? parseInt(highlightMatch[1], 10) : -1; // -1 means unknown
 
             const bookKey = title.substring(0, 50).replace(/[^a-zA-Z0-9぀-ゟ゠-ヿ一-鿿]/g, '_');
@@ -300,14 +452,15 @@
 
             const savedCount = savedCounts[bookKey] || 0;
 
+            const asin = getContainerAsin(container);
             if (testModeActive) {
                 if (booksToProcess.length < testBookLimit) {
-                    booksToProcess.push({ index: i, container, title, highlightCount: currentHighlightCount, bookKey });
+                    booksToProcess.push({ index: i, container, title, highlightCount: currentHighlightCount, bookKey, asin });
                 }
             } else {
                 // Process if: first sync OR highlight count changed OR count is unknown (will check by extracting)
                 if (isFirstSync || currentHighlightCount !== savedCount || currentHighlightCount === -1) {
-                    booksToProcess.push({ index: i, container, title, highlightCount: currentHighlightCount, bookKey });
+                    booksToProcess.push({ index: i, container, title, highlightCount: currentHighlightCount, bookKey, asin });
                 }
             }
         }
@@ -326,37 +479,14 @@
 
             try {
                 sendProgress(i + 1, booksToProcess.length, book.title);
-                clickBookContainer(book.container);
-                let titleUpdated = await waitForTitleUpdate(book.title, book.container);
-                if (!titleUpdated) {
-                    // Retry once in case the click didn't register
-                    clickBookContainer(book.container);
-                    titleUpdated = await waitForTitleUpdate(book.title, book.container);
-                }
-                if (!titleUpdated) {
-                    if (isBookSelected(book.container)) {
-                        sendLog('warning', `Title not matched but selected, proceeding: ${book.title.substring(0, 30)}...`);
-                    } else {
-                        sendLog('warning', `Title not updated, skipping: ${book.title.substring(0, 30)}...`);
-                        continue;
-                    }
-                }
-                await delay(500);
 
-                let highlights = extractHighlightsFromPage();
-
-                if (highlights.length === 0) {
-                    await delay(400);
-                    highlights = extractHighlightsFromPage();
+                const bookData = await extractBook(book);
+                if (!bookData) {
+                    continue;
                 }
+                const highlights = bookData.highlights;
 
                 if (highlights.length > 0 || testModeActive) {
-                    let bookData = extractCurrentBook();
-                    if (!bookData) {
-                        console.log(`[Kindle2Notion] extractCurrentBook() returned null, using extractBookInfoFromContainer`);
-                        bookData = extractBookInfoFromContainer(book.container);
-                    }
-                    bookData.highlights = highlights;
                     console.log(`[Kindle2Notion] Book data:`, { title: bookData.title, author: bookData.author, amazonUrl: bookData.amazonUrl, coverUrl: bookData.coverUrl, highlightCount: highlights.length });
                     allBooks.push(bookData);
                     sendLog('success', `${book.title.substring(0, 30)}... (${highlights.length} highlights)`);
@@ -381,6 +511,374 @@
         return allBooks;
     }
 
+    /**
+     * Extract one book's info and highlights
+     * Fetches the annotations by ASIN first and falls back to clicking through the library
+     * @returns {Object|null} Book data, or null if the book could not be opened
+     */
+    async function extractBook(book) {
+        let bookData = null;
+        if (book.asin) {
+            try {
+                bookData = await fetchBookByAsin(book);
+                if (!hasHighlightTotal(bookData)) {
+                    // The notebook sometimes ends the paging early; another fetch usually gets the rest
+                    sendLog('warning', `Highlights missing, fetching again: ${book.title.substring(0, 30)}...`);
+                    bookData = await fetchBookByAsin(book);
+                }
+            } catch (error) {
+                console.warn(`[Kindle2Notion] Fetch failed for ${book.asin}, falling back to click:`, error);
+                sendLog('warning', `Fetch failed, falling back to page: ${book.title.substring(0, 30)}...`);
+                bookData = null;
+            }
+            if (bookData && !hasHighlightTotal(bookData) && book.container) {
+                sendLog('warning', `Highlights still missing, reading the page instead: ${book.title.substring(0, 30)}...`);
+                bookData = null;
+            }
+        }
+        if (!bookData) {
+            if (!book.container) {
+                throw new Error('Annotations could not be fetched and the book is not in the library list');
+            }
+            bookData = await extractBookByClicking(book);
+        }
+        if (bookData) {
+            if (!bookData.asin) {
+                bookData.asin = book.asin || getAsinFromUrl(bookData.amazonUrl);
+            }
+            await assignHighlightKeys(bookData);
+            // A partial list would look like deleted highlights to Notion, so the book waits for the next sync
+            if (!hasHighlightTotal(bookData)) {
+                const extractedCount = countExtractedHighlights(bookData);
+                console.warn(`[Kindle2Notion] Incomplete extraction for "${bookData.title}": ${extractedCount}/${bookData.expectedHighlightCount}`);
+                throw new Error(`Only ${extractedCount}/${bookData.expectedHighlightCount} highlights could be read, book skipped`);
+            }
+            addDeepLinks(bookData);
+            delete bookData.expectedHighlightCount;
+        }
+        return bookData;
+    }
+
+    /**
+     * Whether the extracted highlights reach the total shown by Kindle (true when the total is unknown)
+     */
+    function hasHighlightTotal(bookData) {
+        const expectedCount = bookData.expectedHighlightCount;
+        return !(expectedCount > 0 && countExtractedHighlights(bookData) < expectedCount);
+    }
+
+    function countExtractedHighlights(bookData) {
+        return bookData.highlights.filter(h => h.type !== 'note').length;
+    }
+
+    /**
+     * Give each highlight its identity key (lib/fingerprint.js, shared with the Notion side)
+     * Rows rendered twice while scrolling share a key and are kept once
+     */
+    async function assignHighlightKeys(bookData) {
+        let getHighlightKey;
+        try {
+            ({ getHighlightKey } = await import(chrome.runtime.getURL('lib/fingerprint.js')));
+        } catch (error) {
+            // The service worker computes missing keys itself
+            console.warn('[Kindle2Notion] Could not load highlight keys:', error);
+            return;
+        }
+
+        const seen = new Set();
+        const unique = [];
+        for (const highlight of bookData.highlights) {
+            highlight.key = await getHighlightKey(highlight);
+            if (!seen.has(highlight.key)) {
+                seen.add(highlight.key);
+                unique.push(highlight);
+            }
+        }
+
+        if (unique.length < bookData.highlights.length) {
+            console.log(`[Kindle2Notion] Dropped ${bookData.highlights.length - unique.length} duplicate highlights in "${bookData.title}"`);
+        }
+        bookData.highlights = unique;
+    }
+
+    /**
+     * Attach links that open the book and each highlight in Kindle Cloud Reader and in the Kindle app
+     * Notion only accepts the kindle:// links in URL properties, not as links in the block text
+     */
+    function addDeepLinks(bookData) {
+        if (!bookData.asin) return;
+
+        bookData.kindleUrl = `kindle://book?action=open&${new URLSearchParams({ asin: bookData.asin })}`;
+        for (const highlight of bookData.highlights) {
+            const params = new URLSearchParams({ asin: bookData.asin });
+            if (highlight.location) {
+                params.set('location', highlight.location);
+            }
+            highlight.readerUrl = `https://${window.location.hostname}/?${params}`;
+            highlight.kindleUrl = `kindle://book?action=open&${params}`;
+        }
+    }
+
+    /**
+     * Read the highlight total of the selected book
+     * Uses the library list count when known, otherwise the counter in the annotations panel
+     */
+    function getExpectedHighlightCount(book, root = document) {
+        if (book.highlightCount > 0) {
+            return book.highlightCount;
+        }
+        const counterEl = root.querySelector('#kp-notebook-highlights-count, .kp-notebook-highlights-count');
+        const counterMatch = counterEl ? counterEl.textContent.match(/\d+/) : null;
+        return counterMatch ? parseInt(counterMatch[0], 10) : 0;
+    }
+
+    /**
+     * Extract a book by clicking its library entry and scraping the rendered panel
+     */
+    async function extractBookByClicking(book) {
+        if (!document.contains(book.container)) {
+            // Library entry came from a fetched page, nothing to click
+            sendLog('warning', `Not in page, skipping: ${book.title.substring(0, 30)}...`);
+            return null;
+        }
+
+        clickBookContainer(book.container);
+
+        // Wait for highlights to load
+        let titleUpdated = await waitForTitleUpdate(book.title, book.container);
+        if (!titleUpdated) {
+            // Retry once in case the click didn't register
+            clickBookContainer(book.container);
+            titleUpdated = await waitForTitleUpdate(book.title, book.container);
+        }
+        if (!titleUpdated) {
+            if (isBookSelected(book.container)) {
+                sendLog('warning', `Title not matched but selected, proceeding: ${book.title.substring(0, 30)}...`);
+            } else {
+                sendLog('warning', `Title not updated, skipping: ${book.title.substring(0, 30)}...`);
+                return null;
+            }
+        }
+        await delay(500);
+
+        // Long books only render the first batch - scroll until everything is loaded
+        const expectedCount = getExpectedHighlightCount(book);
+        await loadAllAnnotations(expectedCount);
+
+        let highlights = extractHighlightsFromPage();
+
+        if (highlights.length === 0) {
+            await delay(400);
+            highlights = extractHighlightsFromPage();
+        }
+
+        let bookData = extractCurrentBook();
+        if (!bookData) {
+            console.log(`[Kindle2Notion] extractCurrentBook() returned null, using extractBookInfoFromContainer`);
+            bookData = extractBookInfoFromContainer(book.container);
+        }
+        bookData.highlights = highlights;
+        bookData.expectedHighlightCount = expectedCount;
+        return bookData;
+    }
+
+    /**
+     * Scroll the annotations panel until the expected number of highlights is rendered
+     * Stops when the count no longer grows (or on timeout) if the total cannot be reached
+     * @returns {Promise<number>} Number of rendered highlights
+     */
+    async function loadAllAnnotations(expectedCount, timeout = 60000) {
+        const deadline = Date.now() + timeout;
+        let lastCount = countRenderedHighlights();
+        let stableRounds = 0;
+
+        while (Date.now() < deadline) {
+            if (expectedCount > 0 && lastCount >= expectedCount) break;
+
+            const scroller = document.querySelector('#annotation-scroller, #kp-notebook-annotations-pane, #kp-notebook-annotations');
+            if (scroller) {
+                scroller.scrollTop = scroller.scrollHeight;
+                scroller.dispatchEvent(new Event('scroll', { bubbles: true }));
+            }
+            window.scrollTo(0, document.body.scrollHeight);
+
+            await delay(600);
+
+            const count = countRenderedHighlights();
+            if (count === lastCount) {
+                stableRounds++;
+                // Nothing more is loading
+                if (stableRounds >= 4) break;
+            } else {
+                stableRounds = 0;
+                console.log(`[Kindle2Notion] Loaded ${count}${expectedCount > 0 ? `/${expectedCount}` : ''} highlights...`);
+            }
+            lastCount = count;
+        }
+
+        return lastCount;
+    }
+
+    /**
+     * Count highlights currently rendered in the annotations panel
+     */
+    function countRenderedHighlights() {
+        const annotationsRoot = document.querySelector(
+            '#kp-notebook-annotations, .kp-notebook-annotations-container, [id*="annotations"]'
+        );
+        const searchRoot = annotationsRoot || document;
+        return Array.from(searchRoot.querySelectorAll('.kp-notebook-highlight'))
+            .filter(el => !el.closest('.kp-notebook-library, .kp-notebook-library-each-book'))
+            .filter(el => el.textContent.trim())
+            .length;
+    }
+
+    /**
+     * Extract a book by fetching its annotation pages directly (no rendering needed)
+     */
+    async function fetchBookByAsin(book) {
+        const { doc, highlights } = await fetchBookAnnotations(book.asin);
+
+        // Books picked by ASIN may have no library entry; the annotations page fills in the rest
+        const bookData = book.container ? extractBookInfoFromContainer(book.container) : {
+            title: book.title,
+            author: '',
+            asin: book.asin,
+            amazonUrl: `https://${getMarketplaceHosts().storeHost}/dp/${book.asin}`,
+            coverUrl: '',
+            thumbnailUrl: '',
+            highlights: []
+        };
+
+        // Prefer the metadata of the annotations page over the library list
+        const titleEl = doc.querySelector('h3.kp-notebook-metadata');
+        if (titleEl && titleEl.textContent.trim()) {
+            bookData.title = titleEl.textContent.trim();
+        }
+        if (!bookData.author) {
+            const authorEl = doc.querySelector('p.kp-notebook-metadata');
+            if (authorEl) {
+                bookData.author = authorEl.textContent.replace(/^\s*(?:著者|By|Von|Par|De)\s*[:：]\s*/i, '').trim();
+            }
+        }
+        if (!bookData.coverUrl) {
+            const coverEl = doc.querySelector('img.kp-notebook-cover-image');
+            if (coverEl && coverEl.getAttribute('src')) {
+                bookData.thumbnailUrl = coverEl.getAttribute('src');
+                bookData.coverUrl = getHighResCoverUrl(bookData.thumbnailUrl, bookData.amazonUrl);
+            }
+        }
+
+        bookData.highlights = highlights;
+        bookData.expectedHighlightCount = getExpectedHighlightCount(book, doc);
+        console.log(`[Kindle2Notion] Fetched ${highlights.length} highlights for ${book.asin}`);
+        return bookData;
+    }
+
+    // Safety cap on annotation pages per book
+    const MAX_ANNOTATION_PAGES = 200;
+
+    /**
+     * Fetch all annotation pages of a book, following the next page token
+     * @returns {Promise<{doc: Document, highlights: Array}>} First page document and all highlights
+     */
+    async function fetchBookAnnotations(asin) {
+        const highlights = [];
+        let firstDoc = null;
+        let token = '';
+        let contentLimitState = '';
+
+        for (let page = 0; page < MAX_ANNOTATION_PAGES; page++) {
+            const params = new URLSearchParams({ asin, contentLimitState });
+            if (token) {
+                params.set('token', token);
+            }
+
+            const doc = await fetchNotebookDocument(`/notebook?${params.toString()}`);
+            if (!firstDoc) {
+                firstDoc = doc;
+            }
+
+            for (const annotation of extractAnnotationsFromRoot(doc)) {
+                highlights.push({ ...annotation, index: highlights.length });
+            }
+
+            token = readHiddenInput(doc, '.kp-notebook-annotations-next-page-start');
+            contentLimitState = readHiddenInput(doc, '.kp-notebook-content-limit-state') || contentLimitState;
+            if (!token) break;
+        }
+
+        return { doc: firstDoc, highlights };
+    }
+
+    /**
+     * Get the library entries, fetching the notebook page when the list is not rendered
+     */
+    async function collectLibraryContainers() {
+        const rendered = document.querySelectorAll('.kp-notebook-library-each-book');
+        if (rendered.length > 0) {
+            return Array.from(rendered);
+        }
+
+        const containers = [];
+        try {
+            let doc = await fetchNotebookDocument('/notebook');
+            for (let page = 0; page < MAX_ANNOTATION_PAGES; page++) {
+                containers.push(...doc.querySelectorAll('.kp-notebook-library-each-book'));
+                const token = readHiddenInput(doc, '.kp-notebook-library-next-page-start');
+                if (!token) break;
+                doc = await fetchNotebookDocument(`/notebook?library=list&token=${encodeURIComponent(token)}`);
+            }
+        } catch (error) {
+            console.warn('[Kindle2Notion] Could not fetch library list:', error);
+        }
+        console.log(`[Kindle2Notion] Fetched ${containers.length} library entries`);
+        return containers;
+    }
+
+    /**
+     * Fetch a notebook URL on the current origin and parse it as HTML
+     */
+    async function fetchNotebookDocument(path) {
+        const response = await fetch(`${window.location.origin}${path}`, { credentials: 'include' });
+        if (!response.ok) {
+            throw new Error(`Notebook request failed: ${response.status}`);
+        }
+        const html = await response.text();
+        return new DOMParser().parseFromString(html, 'text/html');
+    }
+
+    /**
+     * Read the value of a hidden input (pagination tokens)
+     */
+    function readHiddenInput(root, selector) {
+        const input = root.querySelector(`input${selector}, ${selector} input`);
+        return input && input.value ? input.value : '';
+    }
+
+    /**
+     * Get the ASIN of a library entry (its ID or data attribute)
+     */
+    function getContainerAsin(container) {
+        // Kindle local library items often have ID containing ASIN (e.g. "B00ABC1234" or "kp-notebook-library-each-book-B00ABC1234")
+        if (container.id) {
+            const match = container.id.match(/([A-Z0-9]{10})/);
+            if (match) return match[1];
+        }
+        if (container.dataset && container.dataset.asin) {
+            return container.dataset.asin;
+        }
+        return '';
+    }
+
+    /**
+     * Extract the ASIN from an Amazon product URL
+     */
+    function getAsinFromUrl(url) {
+        const match = (url || '').match(/\/(?:dp|product)\/([A-Z0-9]{10})/);
+        return match ? match[1] : '';
+    }
+
     /**
      * Send progress update to sync window
      */
@@ -394,6 +892,30 @@
         }).catch(() => { }); // Ignore errors if no listener
     }
 
+    /**
+     * Check in with the sync job between books (waits there while the sync is paused)
+     * @returns {Promise<boolean>} true when the sync was cancelled
+     */
+    async function shouldStopExtraction() {
+        try {
+            const signal = await chrome.runtime.sendMessage({ action: 'waitSyncSignal' });
+            return !!(signal && signal.cancelled);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Hand an extracted book to the background, which persists it in the sync checkpoint
+     */
+    async function saveCheckpointBook(book) {
+        try {
+            await chrome.runtime.sendMessage({ action: 'checkpointBook', book });
+        } catch (e) {
+            // No sync job is listening (legacy callers)
+        }
+    }
+
     /**
      * Send log message to sync window
      */
@@ -434,17 +956,10 @@
         let asin = '';
 
         // 0. Try to get ASIN directly from container ID or attributes
-        // Kindle local library items often have ID containing ASIN (e.g. "B00ABC1234" or "kp-notebook-library-each-book-B00ABC1234")
-        if (container.id) {
-            const match = container.id.match(/([A-Z0-9]{10})/);
-            if (match) asin = match[1];
-        }
-        if (!asin && container.dataset && container.dataset.asin) {
-            asin = container.dataset.asin;
-        }
+        asin = getContainerAsin(container);
 
         if (asin) {
-            amazonUrl = `https://www.amazon.co.jp/dp/${asin}`;
+            amazonUrl = `https://${getMarketplaceHosts().storeHost}/dp/${asin}`;
             console.log(`[Kindle2Notion] Found ASIN from container: ${asin}`);
         } else {
             // 1. Strict container link (most reliable)
@@ -479,12 +994,12 @@
             }
         }
 
-        // Find cover image
+        // Find cover image (the thumbnail is kept as a fallback when the high-res URL doesn't load)
         let coverUrl = '';
+        let thumbnailUrl = getContainerThumbnailUrl(container);
         // 1. Container image (most reliable)
-        const containerImg = container.querySelector('img[src*="images-amazon"], img[src*="ssl-images-amazon"], img[src*="m.media-amazon"]');
-        if (containerImg && containerImg.src) {
-            coverUrl = getHighResCoverUrl(containerImg.src, amazonUrl);
+        if (thumbnailUrl) {
+            coverUrl = getHighResCoverUrl(thumbnailUrl, amazonUrl);
         }
 
         // 2. Fallback to global only if title matches and we strictly need it
@@ -495,7 +1010,8 @@
             if (rightPanelTitle && (rightPanelTitle === title || rightPanelTitle.includes(title) || title.includes(rightPanelTitle))) {
                 const annotationImg = document.querySelector('#kp-notebook-annotations img[src*="images-amazon"], .kp-notebook-annotations-container img[src*="images-amazon"]');
                 if (annotationImg && annotationImg.src) {
-                    coverUrl = getHighResCoverUrl(annotationImg.src, amazonUrl);
+                    thumbnailUrl = annotationImg.src;
+                    coverUrl = getHighResCoverUrl(thumbnailUrl, amazonUrl);
                 }
             }
         }
@@ -503,12 +1019,33 @@
         return {
             title,
             author,
+            asin,
             amazonUrl,
             coverUrl,
+            thumbnailUrl,
             highlights: []
         };
     }
 
+    /**
+     * Get the cover thumbnail URL of a library container
+     */
+    function getContainerThumbnailUrl(container) {
+        const img = container.querySelector('img[src*="images-amazon"], img[src*="ssl-images-amazon"], img[src*="m.media-amazon"]');
+        return img && img.src ? img.src : '';
+    }
+
+    /**
+     * Get the store and image hosts of the marketplace this notebook page belongs to
+     * Without lib/marketplaces.js the store is read off the notebook host
+     */
+    function getMarketplaceHosts() {
+        return marketplaceHosts || {
+            storeHost: window.location.hostname.replace(/^read\./, 'www.'),
+            imageHost: 'images-na.ssl-images-amazon.com'
+        };
+    }
+
     /**
      * Get high resolution cover URL
      * 1. Try to generate URL from ASIN (if amazonUrl provided)
@@ -521,7 +1058,7 @@
             if (asinMatch) {
                 const asin = asinMatch[1];
                 // Use Amazon's high-res image service
-                return `https://images-na.ssl-images-amazon.com/images/P/${asin}.01.LZZZZZZZ.jpg`;
+                return `https://${getMarketplaceHosts().imageHost}/images/P/${asin}.01.LZZZZZZZ.jpg`;
             }
         }
 
@@ -947,6 +1484,7 @@
         let amazonUrl = '';
         const linkSelectors = [
             'a.kp-notebook-printable[href*="amazon"]',
+            `a[href*="${getMarketplaceHosts().storeHost}/dp"]`,
             'a[href*="amazon.co.jp/dp"]',
             'a[href*="amazon.com/dp"]',
             'a[href*="/dp/"]',
@@ -981,6 +1519,7 @@
         return {
             title: bookTitle,
             author,
+            asin: getAsinFromUrl(amazonUrl),
             amazonUrl,
             coverUrl,
             highlights: []
@@ -1136,6 +1675,7 @@
             return {
                 title,
                 author,
+                asin: getAsinFromUrl(amazonUrl),
                 amazonUrl,
                 coverUrl,
                 highlights
@@ -1150,29 +1690,7 @@
      * Extract highlights from a book container
      */
     function extractHighlightsFromContainer(container) {
-        const highlights = [];
-        const highlightEls = container.querySelectorAll('.kp-notebook-highlight');
-
-        highlightEls.forEach((el, index) => {
-            const text = el.textContent.trim();
-            if (text) {
-                // Try to find location info
-                const locationEl = el.closest('.kp-notebook-annotation')?.querySelector('#annotationHighlightHeader, .kp-notebook-metadata');
-                let location = '';
-                if (locationEl) {
-                    const locMatch = locationEl.textContent.match(/位置(?:No\.?)?\s*[:：]?\s*(\d+)/);
-                    location = locMatch ? locMatch[1] : '';
-                }
-
-                highlights.push({
-                    text,
-                    location,
-                    index
-                });
-            }
-        });
-
-        return highlights;
+        return extractAnnotationsFromRoot(container);
     }
 
     /**
@@ -1208,6 +1726,13 @@
 
         // If still no highlights found, try looking for any text content in annotation containers
         if (highlightEls.length === 0) {
+            const noteEls = Array.from(searchRoot.querySelectorAll('.kp-notebook-note'))
+                .filter(el => !el.closest('.kp-notebook-library, .kp-notebook-library-each-book'));
+            if (noteEls.length > 0) {
+                // Notes only (no highlights in this book)
+                return extractAnnotationsFromRoot(searchRoot);
+            }
+
             console.log('[Kindle2Notion] No highlights found with standard selectors, trying annotation containers...');
             const containers = searchRoot.querySelectorAll('[class*="annotation"], [id*="annotation"]');
             console.log(`[Kindle2Notion] Found ${containers.length} annotation containers`);
@@ -1218,11 +1743,31 @@
                 const textNodes = container.querySelectorAll('span, div');
                 textNodes.forEach(node => {
                     const text = node.textContent.trim();
+                    // Notes are prefixed with a label - attach them to the preceding highlight
+                    const noteMatch = text.match(/^(?:Note|メモ)\s*[:：]\s*([\s\S]+)/i);
+                    if (noteMatch) {
+                        const previous = highlights[highlights.length - 1];
+                        if (previous && previous.type === 'highlight' && !previous.note) {
+                            previous.note = noteMatch[1].trim();
+                        } else {
+                            highlights.push({
+                                type: 'note',
+                                text: noteMatch[1].trim(),
+                                location: '',
+                                note: '',
+                                index: highlights.length
+                            });
+                        }
+                        return;
+                    }
                     // Filter out short texts or location markers
-                    if (text && text.length > 20 && !text.match(/^(Page|Location|Highlight|Note)\\b/i)) {
+                    if (text && text.length > 20 && !text.match(/^(Page|Location|Highlight)\b/i)) {
                         highlights.push({
+                            type: 'highlight',
                             text,
                             location: '',
+                            note: '',
+                            color: '',
                             index: highlights.length
                         });
                     }
@@ -1232,33 +1777,44 @@
             console.log(`[Kindle2Notion] Found ${highlights.length} highlights from annotation containers`);
             return highlights;
         }
+
+        // Standard Kindle markup: one row per annotation with highlight and note
+        if (highlightEls.some(el => findAnnotationRow(el))) {
+            const annotations = extractAnnotationsFromRoot(searchRoot);
+            if (annotations.length > 0) {
+                console.log(`[Kindle2Notion] Extracted ${annotations.length} highlights total`);
+                return annotations;
+            }
+        }
+
         highlightEls.forEach((el, index) => {
             const text = el.textContent.trim();
             if (text) {
                 // Try to find location info from the annotation container
                 const annotationContainer = el.closest('.a-row, .kp-notebook-row-separator, [class*="annotation"]');
-                let location = '';
+                let position = parsePosition('');
 
                 if (annotationContainer) {
                     const headerEl = annotationContainer.querySelector('#annotationHighlightHeader, .kp-notebook-annotation-container span, [id*="Header"]');
                     if (headerEl) {
-                        const locMatch = headerEl.textContent.match(/位置(?:No\.?)?\s*[:：]?\s*(\d+)/);
-                        location = locMatch ? locMatch[1] : '';
+                        position = parsePosition(headerEl.textContent);
                     }
                 }
 
                 // Also try to find it nearby
-                if (!location) {
+                if (!position.location && !position.page) {
                     const prevSibling = el.previousElementSibling;
                     if (prevSibling) {
-                        const locMatch = prevSibling.textContent.match(/位置(?:No\.?)?\s*[:：]?\s*(\d+)/);
-                        location = locMatch ? locMatch[1] : '';
+                        position = parsePosition(prevSibling.textContent);
                     }
                 }
 
                 highlights.push({
+                    type: 'highlight',
                     text,
-                    location,
+                    ...position,
+                    note: '',
+                    color: extractHighlightColor(el, annotationContainer),
                     index
                 });
             }
@@ -1267,4 +1823,134 @@
         console.log(`[Kindle2Notion] Extracted ${highlights.length} highlights total`);
         return highlights;
     }
+
+    /**
+     * Extract highlights and notes from the annotation rows under a root element
+     * Notes attached to a highlight are stored on it; standalone notes become their own entries
+     */
+    function extractAnnotationsFromRoot(root) {
+        const rows = new Set();
+        // Skip the left-side library list unless the root itself is a library container
+        const excludeLibrary = !(root.closest && root.closest('.kp-notebook-library, .kp-notebook-library-each-book'));
+        root.querySelectorAll('.kp-notebook-highlight, .kp-notebook-note').forEach(el => {
+            if (excludeLibrary && el.closest('.kp-notebook-library, .kp-notebook-library-each-book')) return;
+            const row = findAnnotationRow(el);
+            if (row) rows.add(row);
+        });
+
+        const annotations = [];
+        for (const row of rows) {
+            const highlightEl = row.querySelector('.kp-notebook-highlight');
+            const text = highlightEl ? highlightEl.textContent.trim() : '';
+            const note = extractNoteFromRow(row);
+            const position = extractPositionFromRow(row);
+
+            if (text) {
+                annotations.push({
+                    type: 'highlight',
+                    text,
+                    ...position,
+                    note,
+                    color: extractHighlightColor(highlightEl, row),
+                    index: annotations.length
+                });
+            } else if (note) {
+                annotations.push({
+                    type: 'note',
+                    text: note,
+                    ...position,
+                    note: '',
+                    index: annotations.length
+                });
+            }
+        }
+
+        return annotations;
+    }
+
+    /**
+     * Find the annotation row (header, highlight and note) containing an element
+     */
+    function findAnnotationRow(el) {
+        return el.closest('.kp-notebook-row-separator, .kp-notebook-annotation, .a-row.a-spacing-base');
+    }
+
+    /**
+     * Read the note text of an annotation row (empty if there is none)
+     */
+    function extractNoteFromRow(row) {
+        const noteEl = row.querySelector('.kp-notebook-note');
+        if (!noteEl) return '';
+
+        const noteTextEl = noteEl.querySelector('#note, [id^="note-text"]');
+        const text = noteTextEl ? noteTextEl.textContent : noteEl.textContent;
+        return text.replace(/^\s*(?:Note|メモ)\s*[:：]/i, '').trim();
+    }
+
+    /**
+     * Read the highlight color (yellow, blue, pink, orange) from its class or header text
+     */
+    function extractHighlightColor(highlightEl, row) {
+        const colorEl = highlightEl && highlightEl.closest('[class*="kp-notebook-highlight-"]');
+        if (colorEl) {
+            const classMatch = colorEl.className.match(/kp-notebook-highlight-(yellow|blue|pink|orange)/);
+            if (classMatch) return classMatch[1];
+        }
+
+        const headerEl = row && row.querySelector('#annotationHighlightHeader');
+        const headerText = headerEl ? headerEl.textContent : '';
+        const headerColors = {
+            yellow: /yellow|gelb|jaune|黄色/i,
+            blue: /blue|blau|bleu|青/i,
+            pink: /pink|rosa|rose|ピンク/i,
+            orange: /orange|オレンジ/i
+        };
+        for (const [color, pattern] of Object.entries(headerColors)) {
+            if (pattern.test(headerText)) return color;
+        }
+        return '';
+    }
+
+    /**
+     * Read the location, page and percentage from an annotation row header
+     * Falls back to the hidden location input Kindle renders in each row
+     */
+    function extractPositionFromRow(row) {
+        const headerEl = row.querySelector('#annotationHighlightHeader, #annotationNoteHeader, .kp-notebook-metadata, [id*="Header"]');
+        const position = parsePosition(headerEl ? headerEl.textContent : '');
+        if (!position.location) {
+            const locationInput = row.querySelector('#kp-annotation-location');
+            if (locationInput && /^\d+$/.test(locationInput.value)) {
+                position.location = locationInput.value;
+            }
+        }
+        return position;
+    }
+
+    // Location label in annotation headers (Japanese, English, German, French)
+    const LOCATION_PATTERN = /(?:位置(?:No\.?)?|Location|Position|Emplacement)\s*[:：]?\s*(\d[\d,.]*)/i;
+    // Page label: "ページ: 12", "12ページ", "Page: xii", "Seite 12"
+    const PAGE_PATTERN = /(?:ページ|Page|Seite)\s*[:：]?\s*(\d+|[ivxlcdm]+)\b|(\d+)\s*ページ/i;
+    const PERCENT_PATTERN = /(\d{1,3})\s*[%％]/;
+
+    /**
+     * Parse location, page and percentage from annotation header text (empty when missing)
+     */
+    function parsePosition(text) {
+        const pageMatch = (text || '').match(PAGE_PATTERN);
+        const percentMatch = (text || '').match(PERCENT_PATTERN);
+        return {
+            location: parseLocation(text),
+            page: pageMatch ? (pageMatch[1] || pageMatch[2]).toLowerCase() : '',
+            percent: percentMatch ? percentMatch[1] : ''
+        };
+    }
+
+    /**
+     * Parse a location number from annotation header text
+     */
+    function parseLocation(text) {
+        const locMatch = (text || '').match(LOCATION_PATTERN);
+        return locMatch ? locMatch[1].replace(/[,.]/g, '') : '';
+    }
 })();
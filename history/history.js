@@ -0,0 +1,146 @@
+// History page script for Kindle to Notion Sync
+// Lists past sync runs with their stats, errors and full log
+
+import { loadSyncHistory, clearSyncHistory } from '../lib/history.js';
+
+const runList = document.getElementById('runList');
+const emptyHistory = document.getElementById('emptyHistory');
+const historySummary = document.getElementById('historySummary');
+const clearHistoryBtn = document.getElementById('clearHistory');
+
+const STATUS_LABELS = {
+    completed: '✓ 完了',
+    failed: '✗ 失敗',
+    cancelled: '■ キャンセル'
+};
+
+const TRIGGER_LABELS = {
+    manual: '手動',
+    alarm: '自動'
+};
+
+renderHistory();
+
+clearHistoryBtn.addEventListener('click', async () => {
+    if (!confirm('同期履歴をすべて消去しますか？')) return;
+    await clearSyncHistory();
+    renderHistory();
+});
+
+async function renderHistory() {
+    const history = await loadSyncHistory();
+    runList.innerHTML = '';
+    emptyHistory.classList.toggle('hidden', history.length > 0);
+    clearHistoryBtn.disabled = history.length === 0;
+    historySummary.textContent = history.length > 0 ? `直近 ${history.length} 回の同期` : '';
+
+    for (const run of history) {
+        runList.appendChild(renderRun(run));
+    }
+}
+
+function renderRun(run) {
+    const li = document.createElement('li');
+    li.className = `run ${run.status}`;
+
+    const header = document.createElement('div');
+    header.className = 'run-header';
+    const title = document.createElement('span');
+    title.className = 'run-title';
+    title.textContent = `${formatDateTime(run.startedAt)}（${formatDuration(run.finishedAt - run.startedAt)}）`;
+    const badges = document.createElement('span');
+    badges.className = 'run-badges';
+    badges.textContent = [
+        TRIGGER_LABELS[run.trigger] || run.trigger,
+        run.resume ? '再開' : null,
+        run.dryRun ? 'ドライラン' : null,
+        run.onlyBooks ? `選択した${run.onlyBooks.length}冊` : null,
+        STATUS_LABELS[run.status] || run.status
+    ].filter(Boolean).join(' · ');
+    header.append(title, badges);
+    li.appendChild(header);
+
+    const stats = document.createElement('p');
+    stats.className = 'run-stats';
+    stats.textContent = [
+        `確認 ${formatCount(run.scanned)}冊`,
+        `スキップ ${formatCount(run.skipped)}冊`,
+        `処理 ${run.processed}冊`,
+        `新規 ${run.newBooks}冊`,
+        `ハイライト +${run.newHighlights}件`
+    ].join(' / ');
+    li.appendChild(stats);
+
+    if (run.error) {
+        const error = document.createElement('p');
+        error.className = 'run-error';
+        error.textContent = run.error;
+        li.appendChild(error);
+    }
+
+    if (run.bookErrors.length > 0) {
+        const errors = document.createElement('ul');
+        errors.className = 'book-errors';
+        for (const bookError of run.bookErrors) {
+            const item = document.createElement('li');
+            item.textContent = `${bookError.title}: ${bookError.message}`;
+            errors.appendChild(item);
+        }
+        li.appendChild(errors);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'run-actions';
+    const logBtn = document.createElement('button');
+    logBtn.className = 'btn btn-secondary';
+    logBtn.textContent = `ログを表示 (${run.logs.length})`;
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'btn btn-secondary';
+    exportBtn.textContent = 'JSONで書き出し';
+    actions.append(logBtn, exportBtn);
+    li.appendChild(actions);
+
+    const log = document.createElement('ul');
+    log.className = 'run-log hidden';
+    for (const entry of run.logs) {
+        const item = document.createElement('li');
+        item.className = entry.type;
+        item.textContent = `${new Date(entry.time).toLocaleTimeString()} - ${entry.message}`;
+        log.appendChild(item);
+    }
+    li.appendChild(log);
+
+    logBtn.addEventListener('click', () => log.classList.toggle('hidden'));
+    exportBtn.addEventListener('click', () => exportRun(run));
+
+    return li;
+}
+
+/**
+ * Download a run, including its full log, as a JSON file
+ */
+function exportRun(run) {
+    const blob = new Blob([JSON.stringify(run, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kindle-notion-sync-${new Date(run.startedAt).toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    // Revoking right away can cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function formatDateTime(time) {
+    return new Date(time).toLocaleString();
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}秒`;
+    return `${Math.floor(seconds / 60)}分${seconds % 60}秒`;
+}
+
+// Counts are unknown (null) when a resumed run skipped the extraction
+function formatCount(count) {
+    return count === null || count === undefined ? '-' : count;
+}
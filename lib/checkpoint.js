@@ -0,0 +1,111 @@
+// Sync checkpoints
+// Persists extracted books and their Notion write status in chrome.storage.local,
+// so an interrupted sync can resume from the first unfinished book
+
+const CHECKPOINT_KEY = 'syncCheckpoint';
+// Each book is stored under its own key, so saving one never rewrites the others
+const BOOK_KEY_PREFIX = 'syncCheckpointBook:';
+
+/**
+ * Identity of a book within a checkpoint (ASIN when known, otherwise the title)
+ */
+export function getBookIdentity(book) {
+    return book.asin || book.title;
+}
+
+/**
+ * Get the current checkpoint (null when the last sync finished)
+ * @returns {Promise<{jobId, startedAt, updatedAt, books: string[], extractionComplete, written: string[]}|null>}
+ * books and written hold book identities, books in extraction order
+ */
+export async function loadCheckpoint() {
+    const data = await chrome.storage.local.get(CHECKPOINT_KEY);
+    return data[CHECKPOINT_KEY] || null;
+}
+
+/**
+ * Start a new checkpoint, dropping the previous one
+ */
+export async function startCheckpoint(jobId) {
+    await clearCheckpoint();
+    const checkpoint = {
+        jobId,
+        startedAt: Date.now(),
+        updatedAt: Date.now(),
+        books: [],
+        extractionComplete: false,
+        written: []
+    };
+    await chrome.storage.local.set({ [CHECKPOINT_KEY]: checkpoint });
+    return checkpoint;
+}
+
+/**
+ * Store an extracted book (replaces an earlier extraction of the same book)
+ */
+export async function saveCheckpointBook(book) {
+    const checkpoint = await loadCheckpoint();
+    if (!checkpoint) return;
+
+    const identity = getBookIdentity(book);
+    const existing = checkpoint.books.indexOf(identity);
+    const index = existing >= 0 ? existing : checkpoint.books.length;
+
+    await chrome.storage.local.set({
+        [`${BOOK_KEY_PREFIX}${index}`]: book,
+        [CHECKPOINT_KEY]: {
+            ...checkpoint,
+            books: existing >= 0 ? checkpoint.books : [...checkpoint.books, identity],
+            updatedAt: Date.now()
+        }
+    });
+}
+
+/**
+ * Get the extracted books of a checkpoint, in extraction order
+ */
+export async function loadCheckpointBooks(checkpoint) {
+    if (!checkpoint || checkpoint.books.length === 0) return [];
+
+    const keys = checkpoint.books.map((_, i) => `${BOOK_KEY_PREFIX}${i}`);
+    const data = await chrome.storage.local.get(keys);
+    return keys.map(key => data[key]).filter(Boolean);
+}
+
+/**
+ * Mark the extraction as finished, so a resume goes straight to the Notion writes
+ */
+export async function completeExtraction() {
+    await updateCheckpoint(checkpoint => ({ ...checkpoint, extractionComplete: true }));
+}
+
+/**
+ * Record that a book was written to Notion
+ */
+export async function markBookWritten(book) {
+    const identity = getBookIdentity(book);
+    await updateCheckpoint(checkpoint => ({
+        ...checkpoint,
+        written: checkpoint.written.includes(identity) ? checkpoint.written : [...checkpoint.written, identity]
+    }));
+}
+
+/**
+ * Remove the checkpoint and its books
+ */
+export async function clearCheckpoint() {
+    const checkpoint = await loadCheckpoint();
+    const keys = [CHECKPOINT_KEY];
+    if (checkpoint) {
+        checkpoint.books.forEach((_, i) => keys.push(`${BOOK_KEY_PREFIX}${i}`));
+    }
+    await chrome.storage.local.remove(keys);
+}
+
+async function updateCheckpoint(update) {
+    const checkpoint = await loadCheckpoint();
+    if (!checkpoint) return;
+    await chrome.storage.local.set({
+        [CHECKPOINT_KEY]: { ...update(checkpoint), updatedAt: Date.now() }
+    });
+}
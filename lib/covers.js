@@ -0,0 +1,43 @@
+// Book cover lookup
+// Picks a cover image URL that actually loads, for the Notion page cover and icon
+
+// Amazon answers unknown ASINs with a 1x1 GIF instead of a 404
+const MIN_COVER_BYTES = 1000;
+
+/**
+ * Find a working cover image URL for a book (empty when none loads)
+ * Tries the ASIN-based high-res image first, then the notebook thumbnail
+ * without its size suffix, then the thumbnail itself
+ */
+export async function resolveCoverUrl(book) {
+    const thumbnailUrl = book.thumbnailUrl || '';
+    const candidates = [
+        book.coverUrl,
+        thumbnailUrl.replace(/\._[A-Z]{2,}[0-9.,_]*_/, ''),
+        thumbnailUrl
+    ].filter(Boolean);
+
+    for (const url of new Set(candidates)) {
+        if (await isCoverImage(url)) {
+            return url;
+        }
+        console.log('[Covers] Cover not available, trying next:', url);
+    }
+    return '';
+}
+
+/**
+ * Check that a URL serves a real cover image
+ */
+async function isCoverImage(url) {
+    try {
+        const response = await fetch(url, { method: 'HEAD' });
+        if (!response.ok) return false;
+
+        const type = response.headers.get('content-type') || '';
+        const length = parseInt(response.headers.get('content-length') || '0', 10);
+        return type.startsWith('image/') && !type.includes('gif') && (length === 0 || length > MIN_COVER_BYTES);
+    } catch (error) {
+        return false;
+    }
+}
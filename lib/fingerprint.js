@@ -0,0 +1,81 @@
+// Stable highlight IDs and keys
+// Derived from the book and the highlight itself, so the same highlight gets the same value on every sync
+
+/**
+ * Normalize highlight text so whitespace and width differences don't change the ID
+ */
+export function normalizeHighlightText(text) {
+    return (text || '')
+        .normalize('NFKC')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Get the stable ID of a highlight (32 hex chars of a SHA-256 hash)
+ * Book key is the ASIN when known, otherwise the title
+ */
+export async function getHighlightId(book, highlight) {
+    const bookKey = book.asin || normalizeHighlightText(book.title);
+    const source = [
+        bookKey,
+        highlight.type || 'highlight',
+        highlight.location || '',
+        normalizeHighlightText(highlight.text)
+    ].join('\n');
+
+    return (await sha256Hex(source)).substring(0, 32);
+}
+
+/**
+ * Whether a highlight already has a row, given the IDs in the highlights database
+ * Falls back to the ID without location, like hasHighlightKey()
+ */
+export async function hasHighlightId(existingIds, book, highlight) {
+    if (existingIds.has(await getHighlightId(book, highlight))) return true;
+    return !!highlight.location && existingIds.has(await getHighlightId(book, { ...highlight, location: '' }));
+}
+
+/**
+ * Get the identity key of a highlight within its book (12 hex chars)
+ * Hash of the normalized text plus the location, stored in the location link of each Notion block
+ */
+export async function getHighlightKey(highlight) {
+    const source = `${highlight.location || ''}\n${normalizeHighlightText(highlight.text)}`;
+    return (await sha256Hex(source)).substring(0, 12);
+}
+
+/**
+ * Get the key a highlight had before its location was known
+ * Highlights synced before the location was read (pages other than Japanese ones)
+ * have blocks without a location, and their key is the one of the text alone
+ */
+export function getUnlocatedHighlightKey(highlight) {
+    return getHighlightKey({ text: highlight.text });
+}
+
+/**
+ * Whether a highlight already has a block, given the keys of the page's blocks
+ * Falls back to the text-only key, so a highlight that gained a location is not added twice
+ */
+export async function hasHighlightKey(existingKeys, highlight) {
+    if (existingKeys.has(highlight.key)) return true;
+    return !!highlight.location && existingKeys.has(await getUnlocatedHighlightKey(highlight));
+}
+
+/**
+ * Return the highlight with its key, computing it when missing
+ */
+export async function withHighlightKey(highlight) {
+    return highlight.key ? highlight : { ...highlight, key: await getHighlightKey(highlight) };
+}
+
+/**
+ * SHA-256 of a string as hex
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
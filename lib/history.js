@@ -0,0 +1,32 @@
+// Sync history
+// One record per sync run in chrome.storage.local, newest first, shown by the history page
+
+const HISTORY_KEY = 'syncHistory';
+const MAX_RUNS = 50;
+
+/**
+ * Get the recorded sync runs, newest first
+ * @returns {Promise<Array<{id, trigger, resume, dryRun, onlyBooks, status, startedAt, finishedAt, scanned, skipped, processed,
+ *   newBooks, updatedBooks, newHighlights, error, bookErrors: Array<{title, message}>, logs}>>}
+ */
+export async function loadSyncHistory() {
+    const data = await chrome.storage.local.get(HISTORY_KEY);
+    return data[HISTORY_KEY] || [];
+}
+
+/**
+ * Record a finished sync run (the oldest runs are dropped beyond MAX_RUNS)
+ */
+export async function recordSyncRun(run) {
+    const history = await loadSyncHistory();
+    await chrome.storage.local.set({
+        [HISTORY_KEY]: [run, ...history].slice(0, MAX_RUNS)
+    });
+}
+
+/**
+ * Remove every recorded run
+ */
+export async function clearSyncHistory() {
+    await chrome.storage.local.remove(HISTORY_KEY);
+}
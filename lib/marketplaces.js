@@ -0,0 +1,95 @@
+// Amazon marketplace definitions
+// Kindle notebook URLs per region, shared by the service worker and extension pages
+
+export const DEFAULT_MARKETPLACE = 'co.jp';
+
+// imageHost serves the cover images of the region
+export const MARKETPLACES = {
+    'co.jp': { label: 'Amazon.co.jp (日本)', notebookHost: 'read.amazon.co.jp', storeHost: 'www.amazon.co.jp', imageHost: 'images-fe.ssl-images-amazon.com' },
+    'com': { label: 'Amazon.com (US)', notebookHost: 'read.amazon.com', storeHost: 'www.amazon.com', imageHost: 'images-na.ssl-images-amazon.com' },
+    'co.uk': { label: 'Amazon.co.uk (UK)', notebookHost: 'read.amazon.co.uk', storeHost: 'www.amazon.co.uk', imageHost: 'images-eu.ssl-images-amazon.com' },
+    'de': { label: 'Amazon.de (Deutschland)', notebookHost: 'read.amazon.de', storeHost: 'www.amazon.de', imageHost: 'images-eu.ssl-images-amazon.com' },
+    'fr': { label: 'Amazon.fr (France)', notebookHost: 'read.amazon.fr', storeHost: 'www.amazon.fr', imageHost: 'images-eu.ssl-images-amazon.com' },
+    'ca': { label: 'Amazon.ca (Canada)', notebookHost: 'read.amazon.ca', storeHost: 'www.amazon.ca', imageHost: 'images-na.ssl-images-amazon.com' },
+    'com.au': { label: 'Amazon.com.au (Australia)', notebookHost: 'read.amazon.com.au', storeHost: 'www.amazon.com.au', imageHost: 'images-fe.ssl-images-amazon.com' },
+    'in': { label: 'Amazon.in (India)', notebookHost: 'read.amazon.in', storeHost: 'www.amazon.in', imageHost: 'images-eu.ssl-images-amazon.com' }
+};
+
+/**
+ * Get a marketplace definition (falls back to the default marketplace)
+ */
+export function getMarketplace(id) {
+    return MARKETPLACES[id] || MARKETPLACES[DEFAULT_MARKETPLACE];
+}
+
+/**
+ * Find the marketplace of a notebook host (null when it is not a Kindle notebook host)
+ */
+export function findMarketplaceId(notebookHost) {
+    return Object.keys(MARKETPLACES).find(id => MARKETPLACES[id].notebookHost === notebookHost) || null;
+}
+
+/**
+ * Get the Kindle notebook URL of a marketplace
+ */
+export function getNotebookUrl(id) {
+    return `https://${getMarketplace(id).notebookHost}/notebook`;
+}
+
+/**
+ * Get tab query patterns matching the notebook page of every marketplace
+ */
+export function getNotebookUrlPatterns() {
+    return Object.values(MARKETPLACES).map(marketplace => `https://${marketplace.notebookHost}/notebook*`);
+}
+
+/**
+ * Resolve the marketplace ID from the settings
+ * "auto" detects the region the user is logged in to
+ */
+export async function resolveMarketplaceId(setting) {
+    if (setting && setting !== 'auto') {
+        return MARKETPLACES[setting] ? setting : DEFAULT_MARKETPLACE;
+    }
+
+    const cached = await chrome.storage.local.get('detectedMarketplace');
+    if (cached.detectedMarketplace && MARKETPLACES[cached.detectedMarketplace]) {
+        return cached.detectedMarketplace;
+    }
+
+    const detected = await detectMarketplace();
+    if (detected) {
+        await chrome.storage.local.set({ detectedMarketplace: detected });
+        return detected;
+    }
+    return DEFAULT_MARKETPLACE;
+}
+
+/**
+ * Detect the marketplace the user is logged in to
+ * Uses an open notebook tab if there is one, otherwise probes each notebook page
+ */
+async function detectMarketplace() {
+    const tabs = await chrome.tabs.query({ url: getNotebookUrlPatterns() });
+    for (const tab of tabs) {
+        const id = findMarketplaceId(new URL(tab.url).hostname);
+        if (id) return id;
+    }
+
+    for (const [id, marketplace] of Object.entries(MARKETPLACES)) {
+        try {
+            const response = await fetch(`https://${marketplace.notebookHost}/notebook`, { credentials: 'include' });
+            // Logged-out requests are redirected to the sign-in page
+            if (!response.ok || response.url.includes('/ap/signin')) continue;
+            const html = await response.text();
+            if (html.includes('kp-notebook-library')) {
+                return id;
+            }
+        } catch (e) {
+            // Try the next marketplace
+        }
+    }
+
+    console.log('[Marketplace] Could not detect marketplace');
+    return null;
+}
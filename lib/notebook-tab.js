@@ -0,0 +1,78 @@
+// Kindle notebook tab
+// Opens the notebook page in a background tab and injects the content script,
+// shared by the sync window and the scheduled auto sync
+
+import { getNotebookUrl, resolveMarketplaceId } from './marketplaces.js';
+
+// Kindle is a slow SPA, the library list renders well after the load event
+const RENDER_DELAY_MS = 10000;
+const SCRIPT_INIT_DELAY_MS = 2000;
+
+/**
+ * Create an inactive tab with the Kindle notebook page of the marketplace
+ * Annotations are fetched directly, so the tab does not need to be visible
+ * @returns {Promise<number>} tab ID
+ */
+export async function createNotebookTab(marketplaceSetting) {
+    const marketplaceId = await resolveMarketplaceId(marketplaceSetting);
+    const tab = await chrome.tabs.create({
+        url: getNotebookUrl(marketplaceId),
+        active: false
+    });
+    return tab.id;
+}
+
+/**
+ * Wait for the notebook page to render, then inject the content script
+ * @param {Function} log - (type, message) progress logger
+ * @param {Object} [options] - waitForLibrary: false skips the render wait when the library list is not needed
+ */
+export async function prepareNotebookTab(tabId, log = () => { }, { waitForLibrary = true } = {}) {
+    log('info', 'ページの読み込みを待機中...');
+    await waitForTabLoad(tabId);
+    log('success', 'ページ読み込み完了');
+
+    if (waitForLibrary) {
+        log('info', `ページのレンダリングを待機中... (${RENDER_DELAY_MS / 1000}秒)`);
+        await delay(RENDER_DELAY_MS);
+    }
+
+    log('info', 'Content Scriptを注入中...');
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            files: ['content.js']
+        });
+    } catch (error) {
+        throw new Error(`Script注入エラー: ${error.message}`);
+    }
+    log('success', 'Content Script注入完了');
+
+    // Wait for content script to initialize
+    await delay(SCRIPT_INIT_DELAY_MS);
+}
+
+/**
+ * Wait for a tab to finish loading (resolves as well when the tab is closed)
+ */
+export function waitForTabLoad(tabId) {
+    return new Promise((resolve) => {
+        const checkTab = async () => {
+            try {
+                const tab = await chrome.tabs.get(tabId);
+                if (tab.status === 'complete') {
+                    resolve();
+                } else {
+                    setTimeout(checkTab, 500);
+                }
+            } catch (e) {
+                resolve(); // Tab might be closed
+            }
+        };
+        checkTab();
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -1,13 +1,119 @@
 // Notion API helper module
 // Handles all Notion API operations
 
+import { getHighlightKey, withHighlightKey, normalizeHighlightText } from './fingerprint.js';
+import { getNotebookUrl } from './marketplaces.js';
+
 const NOTION_API_BASE = 'https://api.notion.com/v1';
 const NOTION_VERSION = '2022-06-28';
 
+// Notion allows an average of 3 requests per second per integration
+const MIN_REQUEST_INTERVAL = 350;
+const MAX_RETRIES = 5;
+const MAX_BACKOFF = 30000;
+
+// Notion rejects rich_text items longer than this
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Error thrown for failed Notion API requests
+ * Carries the HTTP status and the Notion error code (e.g. "rate_limited", "validation_error")
+ */
+export class NotionApiError extends Error {
+    constructor(message, { status = 0, code = '', retryable = false } = {}) {
+        super(message);
+        this.name = 'NotionApiError';
+        this.status = status;
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+// Request scheduler state, shared by all clients so concurrent syncs stay within the budget
+let nextRequestSlot = 0;
+let rateLimitedUntil = 0;
+
+/**
+ * Wait until this caller may send its next request
+ */
+async function waitForRequestSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextRequestSlot, rateLimitedUntil);
+    nextRequestSlot = slot + MIN_REQUEST_INTERVAL;
+    if (slot > now) {
+        await delay(slot - now);
+    }
+
+    // Another caller may have hit a rate limit while we were waiting
+    while (Date.now() < rateLimitedUntil) {
+        await delay(rateLimitedUntil - Date.now());
+    }
+}
+
+/**
+ * Exponential backoff with jitter
+ */
+function getBackoffDelay(attempt) {
+    const base = Math.min(MAX_BACKOFF, 1000 * 2 ** attempt);
+    return base / 2 + Math.random() * (base / 2);
+}
+
+/**
+ * Parse a Retry-After header (seconds) into milliseconds
+ */
+function parseRetryAfter(value) {
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+/**
+ * Rate limits and server errors are worth retrying
+ */
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Whether a failed write was certainly not applied, so sending it again cannot write twice
+ * 429 is refused before processing; a 503 with Retry-After means the service was unavailable
+ */
+function isUnappliedStatus(status, retryAfter) {
+    return status === 429 || (status === 503 && retryAfter !== null);
+}
+
+/**
+ * Whether a request writes again each time it is sent (page creation, appending blocks)
+ * Updates and deletes are safe to repeat
+ */
+function isRepeatableRequest(endpoint, method = 'GET') {
+    if (method === 'POST') return isReadRequest(endpoint, method);
+    return !(method === 'PATCH' && /^\/blocks\/[^/]+\/children$/.test(endpoint));
+}
+
+/**
+ * Whether Notion rejected the content of a request (as opposed to access or server problems)
+ */
+export function isRejectedContent(error) {
+    return error instanceof NotionApiError && error.status === 400;
+}
+
+/**
+ * Whether a request only reads (queries and searches are POSTs that don't write)
+ */
+function isReadRequest(endpoint, method = 'GET') {
+    if (method === 'GET') return true;
+    return method === 'POST' && (endpoint === '/search' || /^\/databases\/[^/]+\/query$/.test(endpoint));
+}
+
 /**
  * Create Notion API client with the given token
+ * @param {Object} options - { propertyMapping, readOnly } user-selected property per book field;
+ *   readOnly blocks every request that would write (dry runs)
  */
-export function createNotionClient(token) {
+export function createNotionClient(token, options = {}) {
+    const propertyMapping = options.propertyMapping || {};
+    const readOnly = !!options.readOnly;
+
     const headers = {
         'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json',
@@ -16,24 +122,71 @@ export function createNotionClient(token) {
 
     /**
      * Make a request to Notion API
+     * Goes through the shared scheduler and retries rate limits, server and network errors;
+     * writes that add content are only retried when the failed attempt was certainly not applied,
+     * since a retry after a lost response would create a duplicate page or blocks
      */
     async function request(endpoint, options = {}) {
         const url = `${NOTION_API_BASE}${endpoint}`;
-        const response = await fetch(url, {
-            ...options,
-            headers: {
-                ...headers,
-                ...options.headers
+        const repeatable = isRepeatableRequest(endpoint, options.method);
+
+        if (readOnly && !isReadRequest(endpoint, options.method)) {
+            throw new NotionApiError(`Read-only client: ${options.method} ${endpoint} was not sent`, {
+                code: 'read_only'
+            });
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            await waitForRequestSlot();
+
+            let response;
+            try {
+                response = await fetch(url, {
+                    ...options,
+                    headers: {
+                        ...headers,
+                        ...options.headers
+                    }
+                });
+            } catch (networkError) {
+                if (attempt >= MAX_RETRIES || !repeatable) {
+                    throw new NotionApiError(`Network error: ${networkError.message}`, {
+                        code: 'network_error',
+                        retryable: repeatable
+                    });
+                }
+                const wait = getBackoffDelay(attempt);
+                console.warn(`[Notion API] Network error, retrying in ${Math.round(wait)}ms (${attempt + 1}/${MAX_RETRIES})`);
+                await delay(wait);
+                continue;
             }
-        });
 
-        const data = await response.json();
+            const data = await response.json().catch(() => ({}));
 
-        if (!response.ok) {
-            throw new Error(data.message || `Notion API error: ${response.status}`);
-        }
+            if (response.ok) {
+                return data;
+            }
+
+            const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+            const error = new NotionApiError(data.message || `Notion API error: ${response.status}`, {
+                status: response.status,
+                code: data.code || '',
+                retryable: isRetryableStatus(response.status) &&
+                    (repeatable || isUnappliedStatus(response.status, retryAfter))
+            });
+
+            if (!error.retryable || attempt >= MAX_RETRIES) {
+                throw error;
+            }
 
-        return data;
+            const wait = retryAfter !== null ? retryAfter : getBackoffDelay(attempt);
+            if (response.status === 429) {
+                // Hold back every caller, not just this one
+                rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + wait);
+            }
+            console.warn(`[Notion API] ${response.status} ${error.code}, retrying in ${Math.round(wait)}ms (${attempt + 1}/${MAX_RETRIES})`);
+            await delay(wait);
+        }
     }
 
     /**
@@ -43,21 +196,66 @@ export function createNotionClient(token) {
         return request(`/databases/${databaseId}`);
     }
 
+    // Resolved schemas per database (one getDatabase call per client, i.e. per sync)
+    const schemaCache = new Map();
+
+    /**
+     * Resolve the database schema: title property and the property used for each field
+     * Book fields by default; the highlights database passes HIGHLIGHT_FIELDS
+     * @returns {Promise<{titleProperty: string, fields: Object, properties: Object}>}
+     */
+    async function resolveSchema(databaseId, fieldDefinitions = BOOK_FIELDS) {
+        if (!schemaCache.has(databaseId)) {
+            const pending = getDatabase(databaseId).then(database => {
+                // The user's property mapping only applies to the books database
+                const mapping = fieldDefinitions === BOOK_FIELDS ? propertyMapping : {};
+                const schema = buildSchema(database.properties, mapping, fieldDefinitions);
+                console.log('[Notion API] Resolved schema:', schema.titleProperty, schema.fields);
+                return schema;
+            });
+            // Don't keep a failed lookup around
+            pending.catch(() => schemaCache.delete(databaseId));
+            schemaCache.set(databaseId, pending);
+        }
+        return schemaCache.get(databaseId);
+    }
+
     /**
-     * Query database to find a book by title
+     * Drop the cached schema so the next write resolves it again
      */
-    async function findBookByTitle(databaseId, title) {
-        const database = await getDatabase(databaseId);
-        const dbProperties = database.properties;
-
-        // Find the title property name
-        let titlePropertyName = 'Name';
-        for (const [propName, propConfig] of Object.entries(dbProperties)) {
-            if (propConfig.type === 'title') {
-                titlePropertyName = propName;
-                break;
+    function invalidateSchema(databaseId) {
+        schemaCache.delete(databaseId);
+    }
+
+    /**
+     * Run a write with the resolved schema
+     * A validation error usually means the database changed - reload the schema and retry once
+     */
+    async function writeWithSchema(databaseId, write, fieldDefinitions = BOOK_FIELDS) {
+        try {
+            return await write(await resolveSchema(databaseId, fieldDefinitions));
+        } catch (error) {
+            if (!(error instanceof NotionApiError) || error.code !== 'validation_error') {
+                throw error;
             }
+            console.warn('[Notion API] Validation error, reloading database schema:', error.message);
+            invalidateSchema(databaseId);
+            return write(await resolveSchema(databaseId, fieldDefinitions));
         }
+    }
+
+    /**
+     * Query database to find a book by title
+     * Pages that already store a different ASIN are another edition or volume and never match
+     * @param {string} [asin] - ASIN of the book being looked up
+     */
+    async function findBookByTitle(databaseId, title, asin = '') {
+        const schema = await resolveSchema(databaseId);
+        const isOtherEdition = (page) => {
+            if (!asin) return false;
+            const pageAsin = readPageAsin(schema, page);
+            return !!pageAsin && pageAsin !== asin;
+        };
 
         if (title) {
             try {
@@ -65,7 +263,7 @@ export function createNotionClient(token) {
                     method: 'POST',
                     body: JSON.stringify({
                         filter: {
-                            property: titlePropertyName,
+                            property: schema.titleProperty,
                             title: {
                                 equals: title
                             }
@@ -73,331 +271,570 @@ export function createNotionClient(token) {
                     })
                 });
 
-                if (response.results.length > 0) {
-                    return response.results[0];
+                const match = response.results.find(page => !isOtherEdition(page));
+                if (match) {
+                    return match;
                 }
             } catch (e) {
                 console.log('[Notion API] Title search failed');
             }
+
+            // Fallback: compare normalized titles (punctuation, width and series suffix differences)
+            const normalized = normalizeTitle(title);
+            const pages = await getAllPages(databaseId);
+            const match = pages.find(page => normalizeTitle(getPageTitle(page)) === normalized && !isOtherEdition(page));
+            if (match) {
+                console.log('[Notion API] Found book by normalized title:', getPageTitle(match));
+                return match;
+            }
         }
 
         return null;
     }
 
     /**
-     * Create a new book page in the database
+     * Query database to find a book by ASIN
      */
-    async function createBookPage(databaseId, bookData) {
-        // First, get database schema to find the title property name
-        const database = await getDatabase(databaseId);
-        const dbProperties = database.properties;
-
-        // Find the title property (the one with type "title")
-        let titlePropertyName = 'Name'; // Default fallback
-        for (const [propName, propConfig] of Object.entries(dbProperties)) {
-            if (propConfig.type === 'title') {
-                titlePropertyName = propName;
-                break;
-            }
-        }
+    async function findBookByAsin(databaseId, asin) {
+        if (!asin) return null;
 
-        console.log('[Notion API] Using title property:', titlePropertyName);
-        console.log('[Notion API] Available properties:', Object.keys(dbProperties));
+        const schema = await resolveSchema(databaseId);
+        if (!schema.fields.asin) return null;
 
-        // Build properties object with only the title (required)
-        const properties = {
-            [titlePropertyName]: {
-                title: [
-                    {
-                        text: {
-                            content: bookData.title
-                        }
+        const response = await request(`/databases/${databaseId}/query`, {
+            method: 'POST',
+            body: JSON.stringify({
+                filter: {
+                    property: schema.fields.asin.name,
+                    rich_text: {
+                        equals: asin
                     }
-                ]
-            }
-        };
-
-        // Helper function to check for property with multiple possible names
-        const findProperty = (names) => {
-            for (const name of names) {
-                if (dbProperties[name]) {
-                    return { name, config: dbProperties[name] };
                 }
-            }
-            return null;
-        };
+            })
+        });
 
-        // Add Author property (多くの名前バリエーションに対応)
-        const authorProp = findProperty(['Author', '著者', '著者名', 'author', '作者', 'Writer', 'writer']);
-        console.log('[Notion API] Author property found:', authorProp ? authorProp.name : 'NOT FOUND');
-        console.log('[Notion API] Book author value:', bookData.author);
+        return response.results.length > 0 ? response.results[0] : null;
+    }
 
-        if (authorProp && bookData.author) {
-            properties[authorProp.name] = {
-                rich_text: [
-                    {
-                        text: {
-                            content: bookData.author
-                        }
-                    }
-                ]
-            };
-            console.log('[Notion API] Author property set to:', bookData.author);
-        } else if (bookData.author && !authorProp) {
-            console.log('[Notion API] WARNING: Author property not found in database. Available properties:', Object.keys(dbProperties).join(', '));
-        }
+    /**
+     * Get the ASIN stored on a book page ('' when there is none)
+     */
+    async function getPageAsin(databaseId, page) {
+        return readPageAsin(await resolveSchema(databaseId), page);
+    }
 
-        // Add Highlight Count property
-        const highlightCountProp = findProperty(['Highlight Count', 'ハイライト数', 'highlight_count']);
-        if (highlightCountProp) {
-            properties[highlightCountProp.name] = {
-                number: bookData.highlights.length
-            };
+    /**
+     * Add the ASIN property to the database if it does not exist yet
+     * Changes the user's schema, so it only runs when the user asks for it in the options
+     */
+    async function ensureAsinProperty(databaseId) {
+        const schema = await resolveSchema(databaseId);
+        // Respect an explicit mapping (including "not used")
+        if (schema.fields.asin || propertyMapping.asin) {
+            return false;
         }
 
-        // Add Last Synced property (more name variations)
-        const lastSyncedProp = findProperty(['Last Synced', '最終同期日時', '最終同期日', '同期日時', '同期日', 'last_synced', 'LastSynced']);
-        if (lastSyncedProp) {
-            properties[lastSyncedProp.name] = {
-                date: {
-                    start: new Date().toISOString()
+        console.log('[Notion API] Adding ASIN property to database');
+        await request(`/databases/${databaseId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                properties: {
+                    ASIN: {
+                        rich_text: {}
+                    }
                 }
-            };
-        }
+            })
+        });
+        invalidateSchema(databaseId);
+        return true;
+    }
 
-        // Add Amazon URL if available
-        const amazonUrlProp = findProperty(['Amazon URL', 'Amazon', 'URL', 'amazon_url']);
-        if (amazonUrlProp && bookData.amazonUrl) {
-            properties[amazonUrlProp.name] = {
-                url: bookData.amazonUrl
-            };
+    /**
+     * Write ASINs onto existing pages that do not have one yet
+     * Pages are matched to library books by normalized title
+     * @param {Array} libraryBooks - [{ title, asin }] from the Kindle library list
+     * @returns {Promise<number>} Number of pages updated
+     */
+    async function backfillAsins(databaseId, libraryBooks) {
+        const schema = await resolveSchema(databaseId);
+        const asinProp = schema.fields.asin;
+        if (!asinProp) return 0;
+
+        const asinByTitle = new Map();
+        for (const book of libraryBooks) {
+            if (book.asin && book.title) {
+                asinByTitle.set(normalizeTitle(book.title), book.asin);
+            }
         }
 
-        // Add Cover Image as a property (表紙) - supports files type
-        const coverProp = findProperty(['表紙', 'Cover', 'cover', 'カバー']);
-        if (coverProp && bookData.coverUrl) {
-            if (coverProp.config.type === 'files') {
-                // Files property type
-                properties[coverProp.name] = {
-                    files: [
-                        {
-                            type: 'external',
-                            name: bookData.title.substring(0, 50) || 'cover',
-                            external: {
-                                url: bookData.coverUrl
-                            }
+        let updated = 0;
+        const pages = await getAllPages(databaseId);
+        for (const page of pages) {
+            if (readTextProperty(page.properties[asinProp.name])) continue;
+
+            const asin = asinByTitle.get(normalizeTitle(getPageTitle(page)));
+            if (!asin) continue;
+
+            await request(`/pages/${page.id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({
+                    properties: {
+                        [asinProp.name]: {
+                            rich_text: [{ text: { content: asin } }]
                         }
-                    ]
-                };
-            } else if (coverProp.config.type === 'url') {
-                // URL property type
-                properties[coverProp.name] = {
-                    url: bookData.coverUrl
-                };
-            }
-            console.log('[Notion API] Cover property set:', coverProp.name);
+                    }
+                })
+            });
+            updated++;
         }
 
-        const pageData = {
-            parent: {
-                database_id: databaseId
-            },
-            properties
-        };
+        return updated;
+    }
 
-        console.log('[Notion API] Creating page with data:', JSON.stringify(pageData, null, 2));
+    /**
+     * Set the page cover and/or icon of a book page to its cover image
+     * @param {Object} targets - { cover, icon } which of the two to set
+     */
+    async function setPageCover(pageId, coverUrl, targets = { cover: true, icon: true }) {
+        const pageData = {};
+        if (targets.cover) pageData.cover = externalFile(coverUrl);
+        if (targets.icon) pageData.icon = externalFile(coverUrl);
 
-        const result = await request('/pages', {
-            method: 'POST',
+        return request(`/pages/${pageId}`, {
+            method: 'PATCH',
             body: JSON.stringify(pageData)
         });
-
-        console.log('[Notion API] Page created successfully:', result.id);
-        return result;
     }
 
     /**
-     * Update an existing book page
+     * List the book pages that have no page cover or icon yet
+     * @returns {Promise<Array<{id, title, asin, missingCover, missingIcon}>>}
      */
-    async function updateBookPage(pageId, bookData, databaseId) {
-        // Get database properties to check what exists
-        const database = await getDatabase(databaseId);
-        const dbProperties = database.properties;
+    async function getPagesWithoutCover(databaseId) {
+        const { fields } = await resolveSchema(databaseId);
+        const pages = await getAllPages(databaseId);
 
-        const properties = {};
+        return pages
+            .filter(page => !page.cover || !page.icon)
+            .map(page => ({
+                id: page.id,
+                title: getPageTitle(page),
+                asin: fields.asin ? readTextProperty(page.properties[fields.asin.name]) : '',
+                missingCover: !page.cover,
+                missingIcon: !page.icon
+            }));
+    }
 
-        if (dbProperties['Highlight Count'] && bookData.highlightCount !== undefined) {
-            properties['Highlight Count'] = {
-                number: bookData.highlightCount
-            };
-        }
+    /**
+     * Get all pages of the database (cached per client for title fallback lookups)
+     */
+    const pagesCache = new Map();
 
-        if (dbProperties['Last Synced']) {
-            properties['Last Synced'] = {
-                date: {
-                    start: new Date().toISOString()
-                }
-            };
+    async function getAllPages(databaseId) {
+        if (pagesCache.has(databaseId)) {
+            return pagesCache.get(databaseId);
         }
 
-        // Only update if there are properties to update
-        if (Object.keys(properties).length === 0) {
-            return { id: pageId }; // Nothing to update
+        const pages = [];
+        let hasMore = true;
+        let startCursor = undefined;
+
+        while (hasMore) {
+            const response = await request(`/databases/${databaseId}/query`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    start_cursor: startCursor,
+                    page_size: 100
+                })
+            });
+            pages.push(...response.results);
+
+            hasMore = response.has_more;
+            startCursor = response.next_cursor;
         }
 
-        return request(`/pages/${pageId}`, {
-            method: 'PATCH',
-            body: JSON.stringify({ properties })
-        });
+        pagesCache.set(databaseId, pages);
+        return pages;
     }
 
     /**
-     * Get existing highlight blocks from a page
+     * Create a new book page in the database
      */
-    async function getExistingHighlights(pageId) {
-        const highlights = [];
-        let cursor = undefined;
+    async function createBookPage(databaseId, bookData) {
+        const result = await writeWithSchema(databaseId, (schema) => {
+            const { fields } = schema;
+            console.log('[Notion API] Using title property:', schema.titleProperty);
 
-        do {
-            const params = cursor ? `?start_cursor=${cursor}` : '';
-            const response = await request(`/blocks/${pageId}/children${params}`);
-
-            for (const block of response.results) {
-                // Check both quote and callout blocks for backwards compatibility
-                if (block.type === 'quote') {
-                    const text = block.quote.rich_text
-                        .map(t => t.plain_text)
-                        .join('');
-                    highlights.push(text);
-                } else if (block.type === 'callout') {
-                    const text = block.callout.rich_text
-                        .map(t => t.plain_text)
-                        .join('');
-                    highlights.push(text);
+            // Build properties object with only the title (required)
+            const properties = {
+                [schema.titleProperty]: {
+                    title: [
+                        {
+                            text: {
+                                content: bookData.title
+                            }
+                        }
+                    ]
                 }
+            };
+
+            // Add Author property
+            console.log('[Notion API] Author property found:', fields.author ? fields.author.name : 'NOT FOUND');
+            if (fields.author && bookData.author) {
+                properties[fields.author.name] = {
+                    rich_text: [
+                        {
+                            text: {
+                                content: bookData.author
+                            }
+                        }
+                    ]
+                };
+            } else if (bookData.author && !fields.author) {
+                console.log('[Notion API] WARNING: Author property not found in database. Available properties:', Object.keys(schema.properties).join(', '));
             }
 
-            cursor = response.has_more ? response.next_cursor : undefined;
-        } while (cursor);
+            // Add Highlight Count property (callers may pass 0 until the blocks are written)
+            if (fields.highlightCount) {
+                properties[fields.highlightCount.name] = {
+                    number: bookData.highlightCount !== undefined ? bookData.highlightCount : bookData.highlights.length
+                };
+            }
 
-        return highlights;
-    }
+            // Add Last Synced property
+            if (fields.lastSynced) {
+                properties[fields.lastSynced.name] = {
+                    date: {
+                        start: new Date().toISOString()
+                    }
+                };
+            }
 
-    /**
-     * Add a highlight quote block to a page
-     */
-    async function addHighlightBlock(pageId, highlight) {
-        const locationText = highlight.location
-            ? `📍 位置No. ${highlight.location}`
-            : '';
+            // Add ASIN (used as the primary key for upserts)
+            if (fields.asin && bookData.asin) {
+                properties[fields.asin.name] = {
+                    rich_text: [
+                        {
+                            text: {
+                                content: bookData.asin
+                            }
+                        }
+                    ]
+                };
+            }
 
-        const richText = [];
+            // Add Amazon URL if available
+            if (fields.url && bookData.amazonUrl) {
+                properties[fields.url.name] = {
+                    url: bookData.amazonUrl
+                };
+            }
 
-        // Add highlight text first
-        richText.push({
-            type: 'text',
-            text: {
-                content: highlight.text
+            // Kindle app link (only set when the user chose app links)
+            if (fields.appLink && bookData.appUrl) {
+                properties[fields.appLink.name] = {
+                    url: bookData.appUrl
+                };
             }
-        });
 
-        // Add location as italic text at the end if available
-        if (locationText) {
-            richText.push({
-                type: 'text',
-                text: {
-                    content: '\n' + locationText
-                },
-                annotations: {
-                    italic: true,
-                    color: 'gray'
+            // Color labels used by the book's highlights
+            if (fields.colorLabels && bookData.colorLabels) {
+                properties[fields.colorLabels.name] = buildMultiSelect(bookData.colorLabels);
+            }
+
+            // Add Cover Image as a property (表紙) - supports files and url types
+            if (fields.cover && bookData.coverUrl) {
+                if (fields.cover.type === 'files') {
+                    properties[fields.cover.name] = {
+                        files: [
+                            {
+                                type: 'external',
+                                name: bookData.title.substring(0, 50) || 'cover',
+                                external: {
+                                    url: bookData.coverUrl
+                                }
+                            }
+                        ]
+                    };
+                } else {
+                    properties[fields.cover.name] = {
+                        url: bookData.coverUrl
+                    };
                 }
-            });
-        }
+                console.log('[Notion API] Cover property set:', fields.cover.name);
+            }
 
-        const block = {
-            object: 'block',
-            type: 'quote',
-            quote: {
-                rich_text: richText,
-                color: 'default'
+            const pageData = {
+                parent: {
+                    database_id: databaseId
+                },
+                properties
+            };
+
+            // Page cover and icon (gallery views, linked mentions)
+            if (bookData.pageCoverUrl) {
+                pageData.cover = externalFile(bookData.pageCoverUrl);
+                pageData.icon = externalFile(bookData.pageCoverUrl);
             }
-        };
 
-        return request(`/blocks/${pageId}/children`, {
-            method: 'PATCH',
-            body: JSON.stringify({
-                children: [block]
-            })
+            console.log('[Notion API] Creating page with data:', JSON.stringify(pageData, null, 2));
+
+            return request('/pages', {
+                method: 'POST',
+                body: JSON.stringify(pageData)
+            });
         });
+
+        console.log('[Notion API] Page created successfully:', result.id);
+        if (pagesCache.has(databaseId)) {
+            pagesCache.get(databaseId).push(result);
+        }
+        return result;
     }
 
     /**
-     * Add multiple highlight quote blocks to a page (batch)
+     * Update an existing book page
      */
-    async function addHighlightBlocks(pageId, highlights) {
-        const children = highlights.map(highlight => {
-            const locationText = highlight.location
-                ? `📍 位置No. ${highlight.location}`
-                : '';
-
-            const richText = [];
-
-            // Add highlight text first
-            richText.push({
-                type: 'text',
-                text: {
-                    content: highlight.text
-                }
-            });
+    async function updateBookPage(pageId, bookData, databaseId) {
+        return writeWithSchema(databaseId, ({ fields }) => {
+            const properties = {};
 
-            // Add location as italic text at the end if available
-            if (locationText) {
-                richText.push({
-                    type: 'text',
-                    text: {
-                        content: '\n' + locationText
-                    },
-                    annotations: {
-                        italic: true,
-                        color: 'gray'
+            if (fields.highlightCount && bookData.highlightCount !== undefined) {
+                properties[fields.highlightCount.name] = {
+                    number: bookData.highlightCount
+                };
+            }
+
+            if (fields.lastSynced) {
+                properties[fields.lastSynced.name] = {
+                    date: {
+                        start: new Date().toISOString()
                     }
-                });
+                };
             }
 
-            return {
-                object: 'block',
-                type: 'quote',
-                quote: {
-                    rich_text: richText,
-                    color: 'default'
-                }
-            };
+            // Backfill ASIN on pages that were matched by title
+            if (fields.asin && bookData.asin) {
+                properties[fields.asin.name] = {
+                    rich_text: [
+                        {
+                            text: {
+                                content: bookData.asin
+                            }
+                        }
+                    ]
+                };
+            }
+
+            if (fields.appLink && bookData.appUrl) {
+                properties[fields.appLink.name] = {
+                    url: bookData.appUrl
+                };
+            }
+
+            if (fields.colorLabels && bookData.colorLabels) {
+                properties[fields.colorLabels.name] = buildMultiSelect(bookData.colorLabels);
+            }
+
+            // Only update if there are properties to update
+            if (Object.keys(properties).length === 0) {
+                return { id: pageId }; // Nothing to update
+            }
+
+            return request(`/pages/${pageId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ properties })
+            });
         });
+    }
+
+    /**
+     * Get the identity keys of the highlights already on a page (to avoid duplicates)
+     * Reads the key stored in the block's location link; blocks without one (written before keys
+     * existed, or without a link) get it computed from their text and location, which gives the
+     * same key as long as the text was not edited in Notion
+     * @returns {Promise<string[]>}
+     */
+    async function getExistingHighlights(pageId) {
+        const blocks = await listHighlightBlocks(pageId);
+        return Promise.all(blocks.map(block => block.key || getHighlightKey(block)));
+    }
+
+    /**
+     * Get the highlight blocks of a page with their text, location and note parsed back
+     * @returns {Promise<Array<{id, type, text, location, note, removed, richText}>>}
+     */
+    async function getHighlightBlocks(pageId) {
+        const blocks = await listHighlightBlocks(pageId);
+        for (const block of blocks) {
+            block.note = block.hasChildren ? readNoteBlock(await getChildBlocks(block.id)).note : '';
+        }
+        return blocks;
+    }
+
+    /**
+     * Read the highlight blocks of a book page
+     */
+    async function listHighlightBlocks(pageId) {
+        const children = await getChildBlocks(pageId);
+        return children.filter(isHighlightBlock).map(parseHighlightBlock);
+    }
+
+    /**
+     * Get all child blocks of a page or block
+     */
+    async function getChildBlocks(blockId) {
+        const children = [];
+        let cursor = undefined;
+
+        do {
+            const params = cursor ? `?start_cursor=${cursor}` : '';
+            const response = await request(`/blocks/${blockId}/children${params}`);
+            children.push(...response.results);
+            cursor = response.has_more ? response.next_cursor : undefined;
+        } while (cursor);
+
+        return children;
+    }
+
+    /**
+     * Rewrite a highlight block in place (text, location, color label, note)
+     * @param {Object} current - The block as read by getHighlightBlocks()
+     */
+    async function updateHighlightBlock(current, highlight, options = {}) {
+        const block = buildHighlightBlock(await withHighlightKey(highlight), options);
+        const { children, ...content } = block[block.type];
+
+        await request(`/blocks/${current.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                [block.type]: content
+            })
+        });
+
+        // The note is a child paragraph of the quote, replaced when it changed on Kindle
+        if (block.type === 'quote' && normalizeHighlightText(current.note) !== normalizeHighlightText(highlight.note)) {
+            const { id: noteBlockId } = current.hasChildren ? readNoteBlock(await getChildBlocks(current.id)) : {};
+            if (noteBlockId) {
+                await request(`/blocks/${noteBlockId}`, { method: 'DELETE' });
+            }
+            if (highlight.note) {
+                await request(`/blocks/${current.id}/children`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({ children: [buildNoteBlock(highlight.note)] })
+                });
+            }
+        }
+    }
+
+    /**
+     * Mark a highlight block whose highlight was deleted on Kindle
+     * @param {string} action - 'archive' moves the block to the trash, 'strike' strikes it through
+     */
+    async function markHighlightRemoved(block, action) {
+        if (action === 'archive') {
+            return request(`/blocks/${block.id}`, { method: 'DELETE' });
+        }
+
+        const richText = block.richText.map(segment => ({
+            type: 'text',
+            text: {
+                content: segment.plain_text,
+                link: segment.href ? { url: segment.href } : null
+            },
+            annotations: {
+                ...segment.annotations,
+                strikethrough: true
+            }
+        }));
+
+        return request(`/blocks/${block.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                [block.type]: { rich_text: richText }
+            })
+        });
+    }
+
+    /**
+     * Add a highlight quote block to a page
+     */
+    async function addHighlightBlock(pageId, highlight, options = {}) {
+        const block = buildHighlightBlock(await withHighlightKey(highlight), options);
+        return request(`/blocks/${pageId}/children`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                children: [block]
+            })
+        });
+    }
+
+    /**
+     * Add multiple highlight quote blocks to a page (batch)
+     * A rejected batch is retried one block at a time so a single bad highlight
+     * doesn't lose the rest of the book
+     * @param {Object} options - { colorLabels, deepLinks, checkSignal }
+     *   checkSignal is awaited before each batch, to pause or cancel between requests
+     * @returns {Promise<Array<{highlight, error}>>} Highlights Notion rejected
+     */
+    async function addHighlightBlocks(pageId, highlights, options = {}) {
+        const keyed = await Promise.all(highlights.map(withHighlightKey));
+        const failed = [];
 
         // Notion API allows max 100 blocks per request
         const batchSize = 100;
-        for (let i = 0; i < children.length; i += batchSize) {
-            const batch = children.slice(i, i + batchSize);
-            await request(`/blocks/${pageId}/children`, {
-                method: 'PATCH',
-                body: JSON.stringify({
-                    children: batch
-                })
-            });
+        for (let i = 0; i < keyed.length; i += batchSize) {
+            const batch = keyed.slice(i, i + batchSize);
+            if (options.checkSignal) {
+                await options.checkSignal();
+            }
+            try {
+                await appendBlocks(pageId, batch.map(highlight => buildHighlightBlock(highlight, options)));
+            } catch (error) {
+                if (!isRejectedContent(error)) throw error;
+                if (batch.length === 1) {
+                    failed.push({ highlight: batch[0], error });
+                    continue;
+                }
 
-            // Rate limiting: wait a bit between batches
-            if (i + batchSize < children.length) {
-                await delay(350); // ~3 requests per second
+                console.warn('[Notion API] Batch rejected, adding highlights one by one:', error.message);
+                for (const highlight of batch) {
+                    try {
+                        await appendBlocks(pageId, [buildHighlightBlock(highlight, options)]);
+                    } catch (blockError) {
+                        if (!isRejectedContent(blockError)) throw blockError;
+                        failed.push({ highlight, error: blockError });
+                    }
+                }
             }
         }
+
+        return failed;
+    }
+
+    /**
+     * Append blocks to a page in one request
+     */
+    async function appendBlocks(pageId, children) {
+        return request(`/blocks/${pageId}/children`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+                children
+            })
+        });
     }
+
     /**
      * Get all books from database with their highlight counts
      * Used for cross-device smart diff sync
+     * @returns {Promise<{counts: Object, asinCounts: Object, total: number}>} Counts keyed by title and by ASIN,
+     *   and the number of book pages
      */
     async function getAllBooksWithHighlightCount(databaseId) {
+        const { fields } = await resolveSchema(databaseId);
         const books = {};
+        const asinCounts = {};
+        let total = 0;
         let hasMore = true;
         let startCursor = undefined;
 
@@ -409,20 +846,15 @@ export function createNotionClient(token) {
                     page_size: 100
                 })
             });
+            total += response.results.length;
 
             for (const page of response.results) {
                 // Get title
-                let title = '';
-                for (const [propName, propValue] of Object.entries(page.properties)) {
-                    if (propValue.type === 'title' && propValue.title.length > 0) {
-                        title = propValue.title[0].plain_text;
-                        break;
-                    }
-                }
+                const title = getPageTitle(page);
 
                 // Get highlight count
                 let highlightCount = 0;
-                const countProp = page.properties['Highlight Count'] || page.properties['ハイライト数'];
+                const countProp = fields.highlightCount ? page.properties[fields.highlightCount.name] : null;
                 if (countProp && countProp.type === 'number') {
                     highlightCount = countProp.number || 0;
                 }
@@ -430,34 +862,716 @@ export function createNotionClient(token) {
                 if (title) {
                     books[title] = highlightCount;
                 }
+
+                const asin = fields.asin ? readTextProperty(page.properties[fields.asin.name]) : '';
+                if (asin) {
+                    asinCounts[asin] = highlightCount;
+                }
             }
 
             hasMore = response.has_more;
             startCursor = response.next_cursor;
+        }
+
+        return { counts: books, asinCounts, total };
+    }
+
+    /**
+     * Search pages shared with the integration (candidates for a database parent)
+     * @returns {Promise<Array<{id: string, title: string}>>}
+     */
+    async function searchPages(query = '') {
+        const response = await request('/search', {
+            method: 'POST',
+            body: JSON.stringify({
+                query,
+                filter: {
+                    property: 'object',
+                    value: 'page'
+                },
+                page_size: 50
+            })
+        });
+
+        return response.results
+            // Database rows can't hold a database
+            .filter(page => page.parent && page.parent.type !== 'database_id')
+            .map(page => ({
+                id: page.id,
+                title: getPageTitle(page) || 'Untitled'
+            }));
+    }
+
+    /**
+     * Create a books database with the expected schema under a page
+     */
+    async function createBooksDatabase(parentPageId, title = 'Kindle Highlights') {
+        return request('/databases', {
+            method: 'POST',
+            body: JSON.stringify({
+                parent: {
+                    type: 'page_id',
+                    page_id: parentPageId
+                },
+                icon: {
+                    type: 'emoji',
+                    emoji: '📚'
+                },
+                title: [
+                    {
+                        type: 'text',
+                        text: {
+                            content: title
+                        }
+                    }
+                ],
+                properties: BOOK_DATABASE_PROPERTIES
+            })
+        });
+    }
 
-            // Rate limiting
-            if (hasMore) {
-                await delay(350);
+    /**
+     * Create a highlights database related to a books database
+     * Placed under the same page as the books database
+     */
+    async function createHighlightsDatabase(booksDatabaseId, title = 'Kindle Highlights (ハイライト)') {
+        const booksDatabase = await getDatabase(booksDatabaseId);
+        if (booksDatabase.parent.type !== 'page_id') {
+            throw new Error('書籍データベースがページの中にないため、ハイライト用データベースを作成できません');
+        }
+
+        return request('/databases', {
+            method: 'POST',
+            body: JSON.stringify({
+                parent: {
+                    type: 'page_id',
+                    page_id: booksDatabase.parent.page_id
+                },
+                icon: {
+                    type: 'emoji',
+                    emoji: '🖍️'
+                },
+                title: [
+                    {
+                        type: 'text',
+                        text: {
+                            content: title
+                        }
+                    }
+                ],
+                properties: {
+                    ...HIGHLIGHT_DATABASE_PROPERTIES,
+                    'Book': {
+                        relation: {
+                            database_id: booksDatabaseId,
+                            single_property: {}
+                        }
+                    }
+                }
+            })
+        });
+    }
+
+    /**
+     * Get the IDs of the highlight pages related to a book page
+     * @returns {Promise<Set<string>>}
+     */
+    async function getHighlightIds(highlightsDatabaseId, bookPageId) {
+        const { fields } = await resolveSchema(highlightsDatabaseId, HIGHLIGHT_FIELDS);
+        if (!fields.book || !fields.highlightId) {
+            throw new Error('ハイライト用データベースに Book (relation) と Highlight ID (text) プロパティが必要です');
+        }
+
+        const ids = new Set();
+        let hasMore = true;
+        let startCursor = undefined;
+
+        while (hasMore) {
+            const response = await request(`/databases/${highlightsDatabaseId}/query`, {
+                method: 'POST',
+                body: JSON.stringify({
+                    filter: {
+                        property: fields.book.name,
+                        relation: {
+                            contains: bookPageId
+                        }
+                    },
+                    start_cursor: startCursor,
+                    page_size: 100
+                })
+            });
+
+            for (const page of response.results) {
+                const id = readTextProperty(page.properties[fields.highlightId.name]);
+                if (id) {
+                    ids.add(id);
+                }
             }
+
+            hasMore = response.has_more;
+            startCursor = response.next_cursor;
         }
 
-        return books;
+        return ids;
+    }
+
+    /**
+     * Create one page for a highlight in the highlights database
+     * The full highlight is also written to the page body as its usual block
+     * @param {Object} options - { colorLabels, deepLinks } meaning label per highlight color, link choice
+     */
+    async function createHighlightPage(highlightsDatabaseId, bookPageId, highlight, highlightId, options = {}) {
+        const block = buildHighlightBlock(await withHighlightKey(highlight), options);
+
+        return writeWithSchema(highlightsDatabaseId, (schema) => {
+            const { fields } = schema;
+
+            const properties = {
+                [schema.titleProperty]: {
+                    title: buildRichText(highlight.text)
+                }
+            };
+
+            if (fields.book) {
+                properties[fields.book.name] = {
+                    relation: [{ id: bookPageId }]
+                };
+            }
+
+            if (fields.highlightId) {
+                properties[fields.highlightId.name] = {
+                    rich_text: [{ text: { content: highlightId } }]
+                };
+            }
+
+            if (fields.location && highlight.location) {
+                properties[fields.location.name] = fields.location.type === 'number'
+                    ? { number: parseInt(highlight.location, 10) }
+                    : { rich_text: [{ text: { content: String(highlight.location) } }] };
+            }
+
+            // Front matter pages (roman numerals) can only go into a text property
+            if (fields.page && highlight.page) {
+                if (fields.page.type === 'rich_text') {
+                    properties[fields.page.name] = { rich_text: buildRichText(highlight.page) };
+                } else if (/^\d+$/.test(highlight.page)) {
+                    properties[fields.page.name] = { number: parseInt(highlight.page, 10) };
+                }
+            }
+
+            // Color keys stay stable when the user renames the color labels
+            if (fields.color && highlight.color) {
+                properties[fields.color.name] = fields.color.type === 'select'
+                    ? { select: { name: highlight.color } }
+                    : { rich_text: [{ text: { content: highlight.color } }] };
+            }
+
+            // The meaning the user gave the color, for filtering rows by label
+            const colorLabel = highlight.color ? (options.colorLabels || {})[highlight.color] : '';
+            if (fields.colorLabels && colorLabel) {
+                properties[fields.colorLabels.name] = buildMultiSelect([colorLabel]);
+            }
+
+            if (fields.note && highlight.note && highlight.type !== 'note') {
+                properties[fields.note.name] = {
+                    rich_text: buildRichText(highlight.note)
+                };
+            }
+
+            // The kindle:// link the block text can't hold
+            if (fields.appLink && options.deepLinks === 'app' && highlight.kindleUrl) {
+                properties[fields.appLink.name] = {
+                    url: highlight.kindleUrl
+                };
+            }
+
+            // Kindle doesn't expose when a highlight was made, so this is when it was first synced
+            if (fields.dateAdded) {
+                properties[fields.dateAdded.name] = {
+                    date: {
+                        start: new Date().toISOString()
+                    }
+                };
+            }
+
+            return request('/pages', {
+                method: 'POST',
+                body: JSON.stringify({
+                    parent: { database_id: highlightsDatabaseId },
+                    properties,
+                    children: [block]
+                })
+            });
+        }, HIGHLIGHT_FIELDS);
     }
 
     return {
         getDatabase,
+        resolveSchema,
+        invalidateSchema,
         findBookByTitle,
+        getPageAsin,
+        findBookByAsin,
+        ensureAsinProperty,
+        backfillAsins,
+        getPagesWithoutCover,
+        setPageCover,
         createBookPage,
         updateBookPage,
         getExistingHighlights,
         addHighlightBlock,
         addHighlightBlocks,
-        getAllBooksWithHighlightCount
+        getHighlightBlocks,
+        updateHighlightBlock,
+        markHighlightRemoved,
+        getAllBooksWithHighlightCount,
+        searchPages,
+        createBooksDatabase,
+        createHighlightsDatabase,
+        getHighlightIds,
+        createHighlightPage
     };
 }
 
 /**
- * Delay helper for rate limiting
+ * Normalize a book title for fuzzy matching
+ * Ignores full-width/half-width differences, case, punctuation, whitespace
+ * and trailing series labels such as "(講談社文庫)"
+ */
+export function normalizeTitle(title) {
+    let normalized = (title || '').normalize('NFKC').toLowerCase().trim();
+
+    // Drop trailing bracketed labels without volume markers (numbers, 上/中/下, 前/後)
+    let previous;
+    do {
+        previous = normalized;
+        normalized = normalized.replace(/\s*[(\[【〔]([^()\[\]【】〔〕\d上中下前後]*)[)\]】〕]\s*$/u, '');
+    } while (normalized !== previous && normalized);
+
+    return (normalized || previous).replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+/**
+ * Candidate property names and accepted types for each book field
+ */
+export const BOOK_FIELDS = {
+    title: { label: 'タイトル', names: [], types: ['title'] },
+    author: { label: '著者', names: ['Author', '著者', '著者名', 'author', '作者', 'Writer', 'writer'], types: ['rich_text'] },
+    asin: { label: 'ASIN', names: ['ASIN', 'asin', 'Asin'], types: ['rich_text'] },
+    url: { label: 'Amazon URL', names: ['Amazon URL', 'Amazon', 'URL', 'amazon_url'], types: ['url'] },
+    appLink: { label: 'Kindleアプリ', names: ['Kindle App', 'Kindleアプリ', 'kindle_app'], types: ['url'] },
+    colorLabels: { label: '色ラベル', names: ['Color Labels', '色ラベル', 'Labels', 'ラベル', 'color_labels'], types: ['multi_select'] },
+    cover: { label: '表紙', names: ['表紙', 'Cover', 'cover', 'カバー'], types: ['files', 'url'] },
+    highlightCount: { label: 'ハイライト数', names: ['Highlight Count', 'ハイライト数', 'highlight_count'], types: ['number'] },
+    lastSynced: { label: '最終同期日時', names: ['Last Synced', '最終同期日時', '最終同期日', '同期日時', '同期日', 'last_synced', 'LastSynced'], types: ['date'] }
+};
+
+/**
+ * Properties of a database created by createBooksDatabase()
+ * Names match the BOOK_FIELDS candidates so no mapping is needed
+ */
+const BOOK_DATABASE_PROPERTIES = {
+    'Title': { title: {} },
+    'Author': { rich_text: {} },
+    'ASIN': { rich_text: {} },
+    'Amazon URL': { url: {} },
+    'Kindle App': { url: {} },
+    'Color Labels': { multi_select: { options: [] } },
+    'Cover': { files: {} },
+    'Highlight Count': { number: { format: 'number' } },
+    'Last Synced': { date: {} },
+    'Tags': { multi_select: { options: [] } },
+    // The API can't create "status" properties, so reading status is a select
+    'Status': {
+        select: {
+            options: [
+                { name: '未読', color: 'gray' },
+                { name: '読書中', color: 'blue' },
+                { name: '読了', color: 'green' }
+            ]
+        }
+    }
+};
+
+/**
+ * Candidate property names and accepted types for each field of the highlights database
+ */
+export const HIGHLIGHT_FIELDS = {
+    title: { label: 'ハイライト', names: [], types: ['title'] },
+    book: { label: '書籍', names: ['Book', '書籍', '本', 'book'], types: ['relation'] },
+    highlightId: { label: 'Highlight ID', names: ['Highlight ID', 'ハイライトID', 'highlight_id', 'ID'], types: ['rich_text'] },
+    location: { label: '位置', names: ['Location', '位置', '位置No', 'location'], types: ['number', 'rich_text'] },
+    page: { label: 'ページ', names: ['Page', 'ページ', 'page'], types: ['number', 'rich_text'] },
+    color: { label: '色', names: ['Color', '色', 'color'], types: ['select', 'rich_text'] },
+    colorLabels: { label: '色ラベル', names: ['Color Labels', 'Color Label', '色ラベル', 'Labels', 'ラベル', 'color_labels'], types: ['multi_select'] },
+    note: { label: 'メモ', names: ['Note', 'メモ', 'note'], types: ['rich_text'] },
+    appLink: { label: 'Kindleアプリ', names: ['Kindle App', 'Kindleアプリ', 'kindle_app'], types: ['url'] },
+    dateAdded: { label: '追加日', names: ['Date Added', '追加日', 'Added', 'date_added'], types: ['date'] }
+};
+
+/**
+ * Properties of a database created by createHighlightsDatabase()
+ * The relation to the books database is added at creation time
+ */
+const HIGHLIGHT_DATABASE_PROPERTIES = {
+    'Highlight': { title: {} },
+    'Highlight ID': { rich_text: {} },
+    'Location': { number: { format: 'number' } },
+    'Page': { number: { format: 'number' } },
+    'Color': {
+        select: {
+            options: [
+                { name: 'yellow', color: 'yellow' },
+                { name: 'blue', color: 'blue' },
+                { name: 'pink', color: 'pink' },
+                { name: 'orange', color: 'orange' }
+            ]
+        }
+    },
+    'Note': { rich_text: {} },
+    'Color Labels': { multi_select: { options: [] } },
+    'Kindle App': { url: {} },
+    'Date Added': { date: {} }
+};
+
+/**
+ * Extract a Notion ID from an ID or a page/database URL
+ */
+export function parseNotionId(value) {
+    const compact = (value || '').trim().split('?')[0].replace(/-/g, '');
+    const match = compact.match(/([0-9a-f]{32})$/i);
+    if (!match) return '';
+    const id = match[1].toLowerCase();
+    return `${id.slice(0, 8)}-${id.slice(8, 12)}-${id.slice(12, 16)}-${id.slice(16, 20)}-${id.slice(20)}`;
+}
+
+// Mapping value for fields the user does not want written
+export const PROPERTY_NOT_USED = '__none__';
+
+/**
+ * Check a property mapping against the database properties
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validatePropertyMapping(propertyMapping, dbProperties) {
+    const errors = [];
+    for (const [field, name] of Object.entries(propertyMapping || {})) {
+        const definition = BOOK_FIELDS[field];
+        if (!definition || !name || name === PROPERTY_NOT_USED) continue;
+
+        const config = dbProperties[name];
+        if (!config) {
+            errors.push(`${definition.label}: プロパティ「${name}」がありません`);
+        } else if (!definition.types.includes(config.type)) {
+            errors.push(`${definition.label}: 「${name}」の型 (${config.type}) は使用できません (${definition.types.join(' / ')})`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Build the schema mapping from database properties
+ * Each field maps to { name, type } of the user-selected property, or of the first
+ * property whose name matches a candidate; null when the field is not written
+ */
+function buildSchema(dbProperties, propertyMapping = {}, fieldDefinitions = BOOK_FIELDS) {
+    const fields = {};
+    for (const [field, { names, types }] of Object.entries(fieldDefinitions)) {
+        fields[field] = null;
+
+        const mapped = propertyMapping[field];
+        // Every page needs a title, so it can't be turned off
+        if (mapped === PROPERTY_NOT_USED && field !== 'title') continue;
+        if (mapped && mapped !== PROPERTY_NOT_USED) {
+            const config = dbProperties[mapped];
+            if (config && types.includes(config.type)) {
+                fields[field] = { name: mapped, type: config.type };
+                continue;
+            }
+            console.warn(`[Notion API] Mapped property "${mapped}" for ${field} is missing or has the wrong type, guessing instead`);
+        }
+
+        // The title field is whichever property has type "title"
+        const candidates = names.length > 0 ? names : Object.keys(dbProperties);
+        for (const name of candidates) {
+            const config = dbProperties[name];
+            if (config && types.includes(config.type)) {
+                fields[field] = { name, type: config.type };
+                break;
+            }
+        }
+    }
+
+    const titleProperty = fields.title ? fields.title.name : 'Name'; // Default fallback
+    return { titleProperty, fields, properties: dbProperties };
+}
+
+/**
+ * Get the title of a page
+ */
+function getPageTitle(page) {
+    for (const propValue of Object.values(page.properties)) {
+        if (propValue.type === 'title') {
+            return propValue.title.map(t => t.plain_text).join('');
+        }
+    }
+    return '';
+}
+
+/**
+ * Read the ASIN property of a book page ('' when the database has no ASIN property)
+ */
+function readPageAsin(schema, page) {
+    return schema.fields.asin ? readTextProperty(page.properties[schema.fields.asin.name]) : '';
+}
+
+/**
+ * Read the plain text of a rich_text property
+ */
+function readTextProperty(prop) {
+    if (!prop || prop.type !== 'rich_text') return '';
+    return prop.rich_text.map(t => t.plain_text).join('').trim();
+}
+
+/**
+ * Whether a block is a highlight written by buildHighlightBlock()
+ * Callouts are standalone notes; both types are checked for backwards compatibility
+ */
+function isHighlightBlock(block) {
+    return block.type === 'quote' || block.type === 'callout';
+}
+
+/**
+ * Parse a highlight block written by buildHighlightBlock()
+ * Text is everything before the location / color label lines; long texts split
+ * over several rich_text items are joined back together
+ */
+function parseHighlightBlock(block) {
+    const richText = block[block.type].rich_text;
+    const plainText = richText.map(t => t.plain_text).join('');
+
+    // A visible "🔖 key" tail is read as well, for blocks written by the first keyed version
+    const metaStart = plainText.search(/\n(?:📍|🏷|🔖)/u);
+    const locationMatch = plainText.match(/📍 位置No\. (\d+)/u);
+    const pageMatch = plainText.match(/📍 .*?p\. ([0-9ivxlcdm]+)/u);
+    const keyMatch = richText.map(t => readLinkedKey(t.href)).find(Boolean) ||
+        plainText.match(/🔖 ([0-9a-f]{12})$/u);
+
+    return {
+        id: block.id,
+        type: block.type,
+        text: metaStart >= 0 ? plainText.substring(0, metaStart) : plainText,
+        location: locationMatch ? locationMatch[1] : '',
+        page: pageMatch ? pageMatch[1] : '',
+        key: keyMatch ? keyMatch[1] : '',
+        removed: richText.length > 0 && richText[0].annotations.strikethrough,
+        hasChildren: !!block.has_children,
+        richText
+    };
+}
+
+/**
+ * Find the note paragraph among the children of a quote block
+ * @returns {{id: string|null, note: string}}
+ */
+function readNoteBlock(children) {
+    for (const child of children) {
+        if (child.type !== 'paragraph') continue;
+        const text = child.paragraph.rich_text.map(t => t.plain_text).join('');
+        if (text.startsWith(NOTE_PREFIX)) {
+            return { id: child.id, note: text.substring(NOTE_PREFIX.length) };
+        }
+    }
+    return { id: null, note: '' };
+}
+
+// Query parameter of the position link that carries the highlight key
+const HIGHLIGHT_KEY_PARAM = 'knkey';
+
+/**
+ * Add the highlight key to a link, out of sight of the reader
+ */
+function withLinkedKey(url, key) {
+    if (!key) return url;
+    const linked = new URL(url);
+    linked.searchParams.set(HIGHLIGHT_KEY_PARAM, key);
+    return linked.toString();
+}
+
+/**
+ * Read the highlight key back from a link (match array like String.match, or null)
+ */
+function readLinkedKey(url) {
+    if (!url) return null;
+    return url.match(new RegExp(`[?&]${HIGHLIGHT_KEY_PARAM}=([0-9a-f]{12})`));
+}
+
+/**
+ * Notion block colors for Kindle highlight colors
+ */
+const HIGHLIGHT_COLORS = {
+    yellow: 'yellow_background',
+    blue: 'blue_background',
+    pink: 'pink_background',
+    orange: 'orange_background'
+};
+
+/**
+ * Build the block for a highlight
+ * Highlights become quote blocks with their note as a child paragraph;
+ * standalone notes become callout blocks
+ */
+function buildHighlightBlock(highlight, options = {}) {
+    const colorLabels = options.colorLabels || {};
+
+    // Location, page and percentage as shown by Kindle, when present
+    const positionParts = [];
+    if (highlight.location) positionParts.push(`位置No. ${highlight.location}`);
+    if (highlight.page) positionParts.push(`p. ${highlight.page}`);
+    if (highlight.percent) positionParts.push(`${highlight.percent}%`);
+    const locationText = positionParts.length > 0
+        ? `📍 ${positionParts.join(' · ')}`
+        : '';
+
+    const richText = [];
+
+    // Add highlight text first
+    richText.push(...buildRichText(highlight.text));
+
+    // Add location as italic text at the end
+    // Links back into the book in Kindle Cloud Reader; with 'app' too, as Notion rejects kindle://
+    // links in text (the app link goes to the Kindle App URL property instead)
+    // The link also carries the identity key, where the user neither sees nor edits it, so every
+    // keyed block gets one: to the Kindle notebook without a deep link, and on a bare pin without a position
+    const deepLink = ['web', 'app'].includes(options.deepLinks) ? highlight.readerUrl : null;
+    const linkUrl = deepLink || (highlight.key ? options.notebookUrl || getNotebookUrl() : null);
+    if (locationText || linkUrl) {
+        richText.push({
+            type: 'text',
+            text: {
+                content: '\n' + (locationText || '📍'),
+                link: linkUrl ? { url: withLinkedKey(linkUrl, highlight.key) } : null
+            },
+            annotations: {
+                italic: true,
+                color: 'gray'
+            }
+        });
+    }
+    if (highlight.key && !richText.some(item => item.text.link && readLinkedKey(item.text.link.url))) {
+        throw new Error(`Highlight block built without its key: ${highlight.key}`);
+    }
+
+    // Add the user-defined meaning of the highlight color as a label
+    const colorLabel = highlight.color ? colorLabels[highlight.color] : '';
+    if (colorLabel) {
+        richText.push({
+            type: 'text',
+            text: {
+                content: (locationText || linkUrl ? '  ' : '\n') + `🏷 ${colorLabel}`
+            },
+            annotations: {
+                bold: true,
+                color: highlight.color
+            }
+        });
+    }
+
+    if (highlight.type === 'note') {
+        return {
+            object: 'block',
+            type: 'callout',
+            callout: {
+                rich_text: richText,
+                icon: {
+                    type: 'emoji',
+                    emoji: '📝'
+                },
+                color: 'default'
+            }
+        };
+    }
+
+    const block = {
+        object: 'block',
+        type: 'quote',
+        quote: {
+            rich_text: richText,
+            color: HIGHLIGHT_COLORS[highlight.color] || 'default'
+        }
+    };
+
+    // Attach the note under the quote
+    if (highlight.note) {
+        block.quote.children = [buildNoteBlock(highlight.note)];
+    }
+
+    return block;
+}
+
+// Marks the paragraph under a quote that holds the highlight's note
+const NOTE_PREFIX = '📝 ';
+
+/**
+ * Build the paragraph block of a highlight's note
+ */
+function buildNoteBlock(note) {
+    return {
+        object: 'block',
+        type: 'paragraph',
+        paragraph: {
+            rich_text: buildRichText(`${NOTE_PREFIX}${note}`)
+        }
+    };
+}
+
+/**
+ * Build a multi_select property value
+ * Option names can't contain commas
+ */
+function buildMultiSelect(names) {
+    return {
+        multi_select: names.map(name => ({ name: name.replace(/,/g, ' ').substring(0, 100) }))
+    };
+}
+
+/**
+ * Build an external file object (page cover, icon)
+ */
+function externalFile(url) {
+    return {
+        type: 'external',
+        external: { url }
+    };
+}
+
+/**
+ * Build rich_text items for a text of any length
+ * Long texts are split into several items under Notion's per-item limit
+ */
+function buildRichText(content) {
+    const items = [];
+    let start = 0;
+    do {
+        let end = Math.min(start + MAX_TEXT_LENGTH, content.length);
+        // Don't split a surrogate pair (emoji, rare kanji)
+        if (end < content.length && /[\uD800-\uDBFF]/.test(content[end - 1])) {
+            end--;
+        }
+
+        items.push({
+            type: 'text',
+            text: {
+                content: content.substring(start, end)
+            }
+        });
+        start = end;
+    } while (start < content.length);
+
+    return items;
+}
+
+/**
+ * Delay helper for retries and the request scheduler
  */
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
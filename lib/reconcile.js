@@ -0,0 +1,120 @@
+// Highlight reconciliation
+// Compares the highlights on Kindle with the highlight blocks of a book page
+
+import { getHighlightKey, getUnlocatedHighlightKey, normalizeHighlightText } from './fingerprint.js';
+
+/**
+ * Plan the changes that bring a book page in line with Kindle
+ * @param {Array} highlights - Highlights extracted from Kindle
+ * @param {Array} blocks - Highlight blocks of the page (see getHighlightBlocks())
+ * @param {Object} options - { allowRemovals } false when the extraction may be incomplete
+ * @returns {Promise<{added: Array, updated: Array<{block, highlight}>, removed: Array, unchanged: number}>}
+ */
+export async function planHighlightChanges(highlights, blocks, options = {}) {
+    const allowRemovals = options.allowRemovals !== false;
+
+    // Blocks written before keys were stored get the key computed from their text and location
+    const blockKeys = await Promise.all(blocks.map(block => block.key || getHighlightKey(block)));
+    const unmatchedBlocks = new Map(blocks.map((block, i) => [block.id, { block, key: blockKeys[i] }]));
+
+    const pending = [];
+    const withoutExactMatch = [];
+    let unchanged = 0;
+
+    // Exact matches first, so an edit never claims a block another highlight matches exactly
+    for (const highlight of highlights) {
+        const key = highlight.key || await getHighlightKey(highlight);
+        const match = [...unmatchedBlocks.values()].find(entry =>
+            entry.key === key && entry.block.type === blockTypeOf(highlight)
+        );
+        if (match) {
+            unmatchedBlocks.delete(match.block.id);
+            pending.push({ highlight, match });
+        } else {
+            withoutExactMatch.push(highlight);
+        }
+    }
+
+    // Blocks written before the location was known are matched on their text alone;
+    // they stay as they are instead of being replaced by a located copy
+    for (const highlight of withoutExactMatch) {
+        const unlocatedKey = highlight.location ? await getUnlocatedHighlightKey(highlight) : null;
+        const match = unlocatedKey && [...unmatchedBlocks.values()].find(entry =>
+            !entry.block.location && entry.key === unlocatedKey && entry.block.type === blockTypeOf(highlight)
+        );
+        if (match) {
+            unmatchedBlocks.delete(match.block.id);
+        }
+        pending.push({ highlight, match });
+    }
+
+    const changes = [];
+    for (const { highlight, match } of pending) {
+        if (match) {
+            // A struck-through block whose highlight came back is restored, and a block
+            // whose note was edited on Kindle is rewritten (the key leaves the note out)
+            if (match.block.removed || isNoteChanged(match.block, highlight)) {
+                changes.push({ highlight, rewrite: match.block });
+            } else {
+                unchanged++;
+            }
+        } else {
+            changes.push({ highlight });
+        }
+    }
+
+    const added = [];
+    const updated = [];
+    for (const { highlight, rewrite } of changes) {
+        if (rewrite) {
+            updated.push({ block: rewrite, highlight });
+            continue;
+        }
+
+        // Same position and block type with different text: the highlight was edited
+        // Position is the location, or the page for books without locations
+        const edited = highlight.location || highlight.page
+            ? [...unmatchedBlocks.values()].find(entry =>
+                isSamePosition(entry.block, highlight) &&
+                entry.block.type === blockTypeOf(highlight)
+            )
+            : null;
+
+        if (edited) {
+            unmatchedBlocks.delete(edited.block.id);
+            updated.push({ block: edited.block, highlight });
+        } else {
+            added.push(highlight);
+        }
+    }
+
+    const removed = allowRemovals
+        ? [...unmatchedBlocks.values()].map(entry => entry.block).filter(block => !block.removed)
+        : [];
+
+    return { added, updated, removed, unchanged };
+}
+
+/**
+ * Whether the note under a quote block differs from the highlight's note
+ */
+function isNoteChanged(block, highlight) {
+    return block.type === 'quote' && normalizeHighlightText(block.note) !== normalizeHighlightText(highlight.note);
+}
+
+/**
+ * Whether a block sits at the position of a highlight
+ */
+function isSamePosition(block, highlight) {
+    if (highlight.location) {
+        return block.location === String(highlight.location);
+    }
+    return !block.location && block.page === String(highlight.page);
+}
+
+/**
+ * Block type a highlight is written as (see buildHighlightBlock())
+ */
+function blockTypeOf(highlight) {
+    return highlight.type === 'note' ? 'callout' : 'quote';
+}
@@ -3,19 +3,57 @@
 document.addEventListener('DOMContentLoaded', async () => {
     const notionTokenInput = document.getElementById('notionToken');
     const databaseIdInput = document.getElementById('databaseId');
+    const marketplaceSelect = document.getElementById('marketplace');
     const autoSyncCheckbox = document.getElementById('autoSync');
     const syncIntervalSelect = document.getElementById('syncInterval');
     const intervalGroup = document.getElementById('intervalGroup');
     const testModeCheckbox = document.getElementById('testMode');
+    const dryRunCheckbox = document.getElementById('dryRun');
     const autoCloseWindowCheckbox = document.getElementById('autoCloseWindow');
+    const reconcileHighlightsCheckbox = document.getElementById('reconcileHighlights');
+    const removedHighlightActionSelect = document.getElementById('removedHighlightAction');
+    const colorLabelInputs = {
+        yellow: document.getElementById('colorLabelYellow'),
+        blue: document.getElementById('colorLabelBlue'),
+        pink: document.getElementById('colorLabelPink'),
+        orange: document.getElementById('colorLabelOrange')
+    };
     const testConnectionBtn = document.getElementById('testConnection');
     const testResultDiv = document.getElementById('testResult');
     const saveBtn = document.getElementById('saveBtn');
     const saveResultDiv = document.getElementById('saveResult');
+    const loadSchemaBtn = document.getElementById('loadSchema');
+    const mappingFieldsDiv = document.getElementById('mappingFields');
+    const mappingResultDiv = document.getElementById('mappingResult');
+    const parentPageQueryInput = document.getElementById('parentPageQuery');
+    const searchParentPagesBtn = document.getElementById('searchParentPages');
+    const parentPageGroup = document.getElementById('parentPageGroup');
+    const parentPageSelect = document.getElementById('parentPage');
+    const createDatabaseBtn = document.getElementById('createDatabase');
+    const createDatabaseResultDiv = document.getElementById('createDatabaseResult');
+    const highlightModeSelect = document.getElementById('highlightMode');
+    const highlightsDatabaseIdInput = document.getElementById('highlightsDatabaseId');
+    const deepLinksSelect = document.getElementById('deepLinks');
+    const setPageCoverCheckbox = document.getElementById('setPageCover');
+    const createHighlightsDatabaseBtn = document.getElementById('createHighlightsDatabase');
+    const highlightsDatabaseResultDiv = document.getElementById('highlightsDatabaseResult');
+
+    // Mapping value for fields that should not be written (see PROPERTY_NOT_USED in lib/notion-api.js)
+    const PROPERTY_NOT_USED = '__none__';
+
+    // Loaded mapping form state: field definitions and database properties
+    let mappingFields = null;
+    let databaseProperties = null;
+    let savedPropertyMapping = {};
 
     // Load existing settings
     await loadSettings();
 
+    // Show the mapping form for an already configured database
+    if (notionTokenInput.value && databaseIdInput.value) {
+        loadPropertyMapping();
+    }
+
     // Toggle interval visibility based on auto sync checkbox
     autoSyncCheckbox.addEventListener('change', () => {
         intervalGroup.style.display = autoSyncCheckbox.checked ? 'block' : 'none';
@@ -55,15 +93,156 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Search pages that can hold a new database
+    searchParentPagesBtn.addEventListener('click', async () => {
+        const token = notionTokenInput.value.trim();
+
+        if (!token) {
+            showCreateDatabaseResult('Tokenを入力してください', false);
+            return;
+        }
+
+        searchParentPagesBtn.disabled = true;
+        searchParentPagesBtn.textContent = '検索中...';
+
+        try {
+            const result = await chrome.runtime.sendMessage({
+                action: 'searchParentPages',
+                token,
+                query: parentPageQueryInput.value.trim()
+            });
+
+            if (!result.success) {
+                showCreateDatabaseResult(`検索失敗: ${result.error}`, false);
+                return;
+            }
+
+            parentPageSelect.innerHTML = '';
+            for (const page of result.pages) {
+                const option = document.createElement('option');
+                option.value = page.id;
+                option.textContent = page.title;
+                parentPageSelect.appendChild(option);
+            }
+
+            const found = result.pages.length > 0;
+            parentPageGroup.classList.toggle('hidden', !found);
+            createDatabaseBtn.classList.toggle('hidden', !found);
+            if (found) {
+                createDatabaseResultDiv.classList.add('hidden');
+            } else {
+                showCreateDatabaseResult('ページが見つかりません。親ページにIntegrationを共有してください', false);
+            }
+        } catch (error) {
+            showCreateDatabaseResult(`エラー: ${error.message}`, false);
+        } finally {
+            searchParentPagesBtn.disabled = false;
+            searchParentPagesBtn.textContent = '🔍 ページを検索';
+        }
+    });
+
+    // Create the books database under the selected page
+    createDatabaseBtn.addEventListener('click', async () => {
+        const token = notionTokenInput.value.trim();
+        const parentPageId = parentPageSelect.value;
+
+        if (!token || !parentPageId) {
+            showCreateDatabaseResult('Tokenと親ページを選択してください', false);
+            return;
+        }
+
+        createDatabaseBtn.disabled = true;
+        createDatabaseBtn.textContent = '作成中...';
+
+        try {
+            const result = await chrome.runtime.sendMessage({
+                action: 'provisionDatabase',
+                token,
+                parentPageId
+            });
+
+            if (!result.success) {
+                showCreateDatabaseResult(`作成失敗: ${result.error}`, false);
+                return;
+            }
+
+            // The background script already saved the new database and reset the mapping
+            databaseIdInput.value = result.databaseId;
+            savedPropertyMapping = {};
+            showCreateDatabaseResult('データベースを作成して保存しました', true);
+
+            if (result.test.success) {
+                showTestResult(`接続成功！データベース: ${result.test.databaseTitle}`, true);
+            } else {
+                showTestResult(`接続失敗: ${result.test.error}`, false);
+            }
+
+            loadPropertyMapping();
+        } catch (error) {
+            showCreateDatabaseResult(`エラー: ${error.message}`, false);
+        } finally {
+            createDatabaseBtn.disabled = false;
+            createDatabaseBtn.textContent = '✨ データベースを作成';
+        }
+    });
+
+    // Create the highlights database next to the books database
+    createHighlightsDatabaseBtn.addEventListener('click', async () => {
+        const token = notionTokenInput.value.trim();
+        const databaseId = databaseIdInput.value.trim();
+
+        if (!token || !databaseId) {
+            showHighlightsDatabaseResult('TokenとDatabase IDを入力してください', false);
+            return;
+        }
+
+        createHighlightsDatabaseBtn.disabled = true;
+        createHighlightsDatabaseBtn.textContent = '作成中...';
+
+        try {
+            const result = await chrome.runtime.sendMessage({
+                action: 'provisionHighlightsDatabase',
+                token,
+                databaseId
+            });
+
+            if (result.success) {
+                highlightsDatabaseIdInput.value = result.databaseId;
+                showHighlightsDatabaseResult('ハイライト用データベースを作成して保存しました', true);
+            } else {
+                showHighlightsDatabaseResult(`作成失敗: ${result.error}`, false);
+            }
+        } catch (error) {
+            showHighlightsDatabaseResult(`エラー: ${error.message}`, false);
+        } finally {
+            createHighlightsDatabaseBtn.disabled = false;
+            createHighlightsDatabaseBtn.textContent = '✨ ハイライト用データベースを作成';
+        }
+    });
+
+    // Load database schema for the property mapping
+    loadSchemaBtn.addEventListener('click', () => {
+        loadPropertyMapping();
+    });
+
     // Save button
     saveBtn.addEventListener('click', async () => {
         const settings = {
             notionToken: notionTokenInput.value.trim(),
             databaseId: databaseIdInput.value.trim(),
+            marketplace: marketplaceSelect.value,
             autoSync: autoSyncCheckbox.checked,
             syncInterval: parseInt(syncIntervalSelect.value, 10),
             testMode: testModeCheckbox.checked,
-            autoCloseWindow: autoCloseWindowCheckbox.checked
+            dryRun: dryRunCheckbox.checked,
+            autoCloseWindow: autoCloseWindowCheckbox.checked,
+            reconcileHighlights: reconcileHighlightsCheckbox.checked,
+            removedHighlightAction: removedHighlightActionSelect.value,
+            colorLabels: readColorLabels(),
+            highlightMode: highlightModeSelect.value,
+            highlightsDatabaseId: highlightsDatabaseIdInput.value.trim(),
+            deepLinks: deepLinksSelect.value,
+            setPageCover: setPageCoverCheckbox.checked
         };
 
         if (!settings.notionToken || !settings.databaseId) {
@@ -71,8 +250,26 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
+        if (settings.highlightMode !== 'blocks' && !settings.highlightsDatabaseId) {
+            showSaveResult('ハイライト用データベースのIDを入力してください', false);
+            return;
+        }
+
+        // Only replace the mapping when the form was loaded from the database
+        if (mappingFields) {
+            settings.propertyMapping = readPropertyMapping();
+            const errors = validatePropertyMapping(settings.propertyMapping);
+            if (errors.length > 0) {
+                showSaveResult(errors.join('\n'), false);
+                return;
+            }
+            savedPropertyMapping = settings.propertyMapping;
+        }
+
         try {
             await chrome.storage.sync.set(settings);
+            // Re-detect the region on the next sync
+            await chrome.storage.local.remove('detectedMarketplace');
 
             // Update alarms if auto sync is enabled/disabled
             if (settings.autoSync) {
@@ -97,10 +294,20 @@ document.addEventListener('DOMContentLoaded', async () => {
         const settings = await chrome.storage.sync.get([
             'notionToken',
             'databaseId',
+            'marketplace',
             'autoSync',
             'syncInterval',
             'testMode',
-            'autoCloseWindow'
+            'dryRun',
+            'autoCloseWindow',
+            'reconcileHighlights',
+            'removedHighlightAction',
+            'colorLabels',
+            'propertyMapping',
+            'highlightMode',
+            'highlightsDatabaseId',
+            'deepLinks',
+            'setPageCover'
         ]);
 
         if (settings.notionToken) {
@@ -109,6 +316,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (settings.databaseId) {
             databaseIdInput.value = settings.databaseId;
         }
+        if (settings.marketplace) {
+            marketplaceSelect.value = settings.marketplace;
+        }
         if (settings.autoSync !== undefined) {
             autoSyncCheckbox.checked = settings.autoSync;
         }
@@ -118,6 +328,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (settings.testMode !== undefined) {
             testModeCheckbox.checked = settings.testMode;
         }
+        dryRunCheckbox.checked = !!settings.dryRun;
         if (settings.autoCloseWindow !== undefined) {
             autoCloseWindowCheckbox.checked = settings.autoCloseWindow;
         } else {
@@ -125,10 +336,195 @@ document.addEventListener('DOMContentLoaded', async () => {
             autoCloseWindowCheckbox.checked = true;
         }
 
+        reconcileHighlightsCheckbox.checked = !!settings.reconcileHighlights;
+        removedHighlightActionSelect.value = settings.removedHighlightAction || 'strike';
+
+        savedPropertyMapping = settings.propertyMapping || {};
+
+        highlightModeSelect.value = settings.highlightMode || 'blocks';
+        if (settings.highlightsDatabaseId) {
+            highlightsDatabaseIdInput.value = settings.highlightsDatabaseId;
+        }
+        deepLinksSelect.value = settings.deepLinks || 'web';
+        // Default: page covers enabled
+        setPageCoverCheckbox.checked = settings.setPageCover !== false;
+
+        const colorLabels = settings.colorLabels || {};
+        for (const [color, input] of Object.entries(colorLabelInputs)) {
+            input.value = colorLabels[color] || '';
+        }
+
         // Set initial visibility of interval group
         intervalGroup.style.display = autoSyncCheckbox.checked ? 'block' : 'none';
     }
 
+    async function loadPropertyMapping() {
+        const token = notionTokenInput.value.trim();
+        const databaseId = databaseIdInput.value.trim();
+
+        if (!token || !databaseId) {
+            showMappingResult('TokenとDatabase IDを入力してください', false);
+            return;
+        }
+
+        loadSchemaBtn.disabled = true;
+        loadSchemaBtn.textContent = '読み込み中...';
+
+        try {
+            const result = await chrome.runtime.sendMessage({
+                action: 'getPropertyMappingOptions',
+                token,
+                databaseId,
+                propertyMapping: savedPropertyMapping
+            });
+
+            if (!result.success) {
+                showMappingResult(`読み込み失敗: ${result.error}`, false);
+                return;
+            }
+
+            mappingFields = result.fields;
+            databaseProperties = result.properties;
+            renderPropertyMapping();
+
+            if (result.errors.length > 0) {
+                showMappingResult(`保存済みのマッピングに問題があります:\n${result.errors.join('\n')}`, false);
+            } else {
+                mappingResultDiv.classList.add('hidden');
+            }
+        } catch (error) {
+            showMappingResult(`エラー: ${error.message}`, false);
+        } finally {
+            loadSchemaBtn.disabled = false;
+            loadSchemaBtn.textContent = '🔄 データベースから読み込む';
+        }
+    }
+
+    function renderPropertyMapping() {
+        mappingFieldsDiv.innerHTML = '';
+
+        for (const field of mappingFields) {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.htmlFor = `mapping-${field.key}`;
+            label.textContent = `${field.label} (${field.types.join(' / ')})`;
+
+            const select = document.createElement('select');
+            select.id = `mapping-${field.key}`;
+            select.dataset.field = field.key;
+
+            const autoOption = document.createElement('option');
+            autoOption.value = '';
+            autoOption.textContent = field.detected ? `自動検出: ${field.detected}` : '自動検出: 該当なし';
+            select.appendChild(autoOption);
+
+            if (field.key !== 'title') {
+                const noneOption = document.createElement('option');
+                noneOption.value = PROPERTY_NOT_USED;
+                noneOption.textContent = '使用しない';
+                select.appendChild(noneOption);
+            }
+
+            // Only properties of a compatible type can be selected
+            for (const property of databaseProperties) {
+                if (!field.types.includes(property.type)) continue;
+                const option = document.createElement('option');
+                option.value = property.name;
+                option.textContent = `${property.name} (${property.type})`;
+                select.appendChild(option);
+            }
+
+            const saved = savedPropertyMapping[field.key] || '';
+            select.value = Array.from(select.options).some(option => option.value === saved) ? saved : '';
+
+            group.appendChild(label);
+            group.appendChild(select);
+
+            // Books are matched by ASIN once the database has the property; adding it is up to the user
+            if (field.key === 'asin' && !field.detected) {
+                const addButton = document.createElement('button');
+                addButton.className = 'btn btn-secondary';
+                addButton.textContent = '➕ ASINプロパティを追加';
+                addButton.addEventListener('click', addAsinProperty);
+                group.appendChild(addButton);
+            }
+
+            mappingFieldsDiv.appendChild(group);
+        }
+    }
+
+    async function addAsinProperty() {
+        try {
+            const result = await chrome.runtime.sendMessage({
+                action: 'addAsinProperty',
+                token: notionTokenInput.value.trim(),
+                databaseId: databaseIdInput.value.trim()
+            });
+            if (!result.success) {
+                showMappingResult(`追加失敗: ${result.error}`, false);
+                return;
+            }
+            await loadPropertyMapping();
+            showMappingResult('ASINプロパティを追加しました。次回の同期で既存ページにASINを補完します', true);
+        } catch (error) {
+            showMappingResult(`エラー: ${error.message}`, false);
+        }
+    }
+
+    function readPropertyMapping() {
+        const propertyMapping = {};
+        mappingFieldsDiv.querySelectorAll('select[data-field]').forEach(select => {
+            if (select.value) {
+                propertyMapping[select.dataset.field] = select.value;
+            }
+        });
+        return propertyMapping;
+    }
+
+    function validatePropertyMapping(propertyMapping) {
+        const errors = [];
+        for (const field of mappingFields) {
+            const name = propertyMapping[field.key];
+            if (!name || name === PROPERTY_NOT_USED) continue;
+            const property = databaseProperties.find(p => p.name === name);
+            if (!property || !field.types.includes(property.type)) {
+                errors.push(`${field.label}: 「${name}」は使用できません`);
+            }
+        }
+        return errors;
+    }
+
+    function showMappingResult(message, success) {
+        mappingResultDiv.textContent = message;
+        mappingResultDiv.className = `test-result ${success ? 'success' : 'error'}`;
+        mappingResultDiv.classList.remove('hidden');
+    }
+
+    function showCreateDatabaseResult(message, success) {
+        createDatabaseResultDiv.textContent = message;
+        createDatabaseResultDiv.className = `test-result ${success ? 'success' : 'error'}`;
+        createDatabaseResultDiv.classList.remove('hidden');
+    }
+
+    function showHighlightsDatabaseResult(message, success) {
+        highlightsDatabaseResultDiv.textContent = message;
+        highlightsDatabaseResultDiv.className = `test-result ${success ? 'success' : 'error'}`;
+        highlightsDatabaseResultDiv.classList.remove('hidden');
+    }
+
+    function readColorLabels() {
+        const colorLabels = {};
+        for (const [color, input] of Object.entries(colorLabelInputs)) {
+            const label = input.value.trim();
+            if (label) {
+                colorLabels[color] = label;
+            }
+        }
+        return colorLabels;
+    }
+
     function showTestResult(message, success) {
         testResultDiv.textContent = message;
         testResultDiv.className = `test-result ${success ? 'success' : 'error'}`;
@@ -7,16 +7,22 @@ document.addEventListener('DOMContentLoaded', async () => {
   const lastSyncEl = document.getElementById('lastSync');
   const bookCountEl = document.getElementById('bookCount');
   const openOptionsLink = document.getElementById('openOptions');
+  const openHistoryLink = document.getElementById('openHistory');
+  const openPickerLink = document.getElementById('openPicker');
+  const dryRunNotice = document.getElementById('dryRunNotice');
 
   // Load saved stats
   await loadStats();
+  await loadSyncJob();
 
   // Check if settings are configured
-  const settings = await chrome.storage.sync.get(['notionToken', 'databaseId']);
+  const settings = await chrome.storage.sync.get(['notionToken', 'databaseId', 'dryRun']);
   if (!settings.notionToken || !settings.databaseId) {
     showError('設定が完了していません。「設定」をクリックしてNotion TokenとDatabase IDを入力してください。');
     syncBtn.disabled = true;
   }
+  // The sync button only previews while dry run is on (auto sync is not affected)
+  dryRunNotice.classList.toggle('hidden', !settings.dryRun);
 
   // Main sync button - opens sync window
   syncBtn.addEventListener('click', async () => {
@@ -28,17 +34,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       return;
     }
 
-    // Open sync window as popup
-    chrome.windows.create({
-      url: chrome.runtime.getURL('sync-window.html'),
-      type: 'popup',
-      width: 450,
-      height: 650,
-      focused: true
-    });
+    // Open sync window as popup (it attaches to a sync that is already running)
+    openSyncWindow('sync-window.html');
+  });
 
-    // Close the popup
-    window.close();
+  // Open the sync window with the book picker instead of starting a sync
+  openPickerLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    openSyncWindow('sync-window.html?picker=1');
   });
 
   // Open options page
@@ -47,9 +50,29 @@ document.addEventListener('DOMContentLoaded', async () => {
     chrome.runtime.openOptionsPage();
   });
 
+  // Open sync history page
+  openHistoryLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+    window.close();
+  });
+
   // Helper functions
+  function openSyncWindow(path) {
+    chrome.windows.create({
+      url: chrome.runtime.getURL(path),
+      type: 'popup',
+      width: 450,
+      height: 650,
+      focused: true
+    });
+
+    // Close the popup
+    window.close();
+  }
+
   async function loadStats() {
-    const stats = await chrome.storage.local.get(['lastSync', 'totalBooks']);
+    const stats = await chrome.storage.local.get(['lastSync', 'totalBooks', 'lastAutoSync']);
 
     if (stats.lastSync) {
       const date = new Date(stats.lastSync);
@@ -59,6 +82,22 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (stats.totalBooks !== undefined) {
       bookCountEl.textContent = `${stats.totalBooks}冊`;
     }
+
+    // Scheduled syncs run unattended, so their last failure is shown here
+    // until a later sync succeeds
+    const autoSync = stats.lastAutoSync;
+    const syncedSince = stats.lastSync && autoSync && stats.lastSync > autoSync.finishedAt;
+    if (autoSync && autoSync.status === 'error' && !syncedSince) {
+      showError(`自動同期に失敗しました (${formatDate(new Date(autoSync.finishedAt))}): ${autoSync.error}`);
+    }
+  }
+
+  // Show a sync running in the background; the button then opens its progress
+  async function loadSyncJob() {
+    const { job } = await chrome.runtime.sendMessage({ action: 'getSyncJob' });
+    if (job && !['completed', 'failed', 'cancelled'].includes(job.state)) {
+      syncBtn.innerHTML = '<span class="sync-icon">⏳</span>同期中... (進捗を表示)';
+    }
   }
 
   function formatDate(date) {
@@ -1,5 +1,5 @@
-// Sync window script - handles the dedicated sync popup window
-// This creates and manages the Kindle tab, injects content script, and handles sync
+// Sync window script - shows the sync job run by the background service worker
+// Starts a job (or attaches to the running one) and renders its state, progress and logs
 
 const progressBar = document.getElementById('progressBar');
 const progressSection = document.getElementById('progressSection');
@@ -12,13 +12,46 @@ const completeSummary = document.getElementById('completeSummary');
 const syncBtn = document.getElementById('syncBtn');
 const warningText = document.getElementById('warningText');
 const openSettings = document.getElementById('openSettings');
+const previewSection = document.getElementById('previewSection');
+const previewSummary = document.getElementById('previewSummary');
+const applyChangesBtn = document.getElementById('applyChanges');
+const cancelChangesBtn = document.getElementById('cancelChanges');
+const resumeSection = document.getElementById('resumeSection');
+const resumeSummary = document.getElementById('resumeSummary');
+const resumeSyncBtn = document.getElementById('resumeSync');
+const startFreshBtn = document.getElementById('startFresh');
+const jobControls = document.getElementById('jobControls');
+const pauseSyncBtn = document.getElementById('pauseSync');
+const cancelSyncBtn = document.getElementById('cancelSync');
+const dryRunSection = document.getElementById('dryRunSection');
+const dryRunList = document.getElementById('dryRunList');
+const pickerSection = document.getElementById('pickerSection');
+const togglePicker = document.getElementById('togglePicker');
+const bookSearch = document.getElementById('bookSearch');
+const refreshLibraryBtn = document.getElementById('refreshLibrary');
+const bookFilterModeSelect = document.getElementById('bookFilterMode');
+const pickerStatus = document.getElementById('pickerStatus');
+const bookList = document.getElementById('bookList');
+
+const FINISHED_JOB_STATES = ['completed', 'failed', 'cancelled'];
 
 let totalHighlights = 0;
-let kindleTabId = null;
 let isSyncing = false;
-
-// Auto-start sync when window opens
-startSync();
+let isPaused = false;
+// ID of the job this window renders, so a finished job is shown only once
+let jobId = null;
+let finishedJobId = null;
+// Library list and include/exclude list of the book picker
+let libraryBooks = [];
+let bookFilterList = [];
+
+// Attach to the running sync, or start one when the window opens
+// (opened for the book picker, the window waits for the user instead)
+const pickerRequested = new URLSearchParams(location.search).has('picker');
+attachToSync({ autoStart: !pickerRequested });
+if (pickerRequested) {
+    showPicker();
+}
 
 // Also allow manual restart via button
 syncBtn.addEventListener('click', () => {
@@ -32,7 +65,86 @@ openSettings.addEventListener('click', (e) => {
     chrome.runtime.openOptionsPage();
 });
 
-async function startSync() {
+// Answer the change preview of the job
+applyChangesBtn.addEventListener('click', () => answerPreview(true));
+cancelChangesBtn.addEventListener('click', () => answerPreview(false));
+
+// Pause/continue and cancel take effect between books and Notion batches
+pauseSyncBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'pauseSyncJob', paused: !isPaused });
+});
+cancelSyncBtn.addEventListener('click', () => {
+    cancelSyncBtn.disabled = true;
+    chrome.runtime.sendMessage({ action: 'cancelSyncJob' });
+});
+
+// Continue an interrupted sync, or discard it and start over
+resumeSyncBtn.addEventListener('click', () => startSync({ resume: true }));
+startFreshBtn.addEventListener('click', () => startSync());
+
+// Book picker
+togglePicker.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (pickerSection.classList.contains('show')) {
+        pickerSection.classList.remove('show');
+    } else {
+        showPicker();
+    }
+});
+bookSearch.addEventListener('input', renderBookList);
+refreshLibraryBtn.addEventListener('click', refreshLibrary);
+bookFilterModeSelect.addEventListener('change', async () => {
+    await chrome.storage.sync.set({ bookFilterMode: bookFilterModeSelect.value });
+    updatePickerStatus();
+});
+
+async function attachToSync({ autoStart = true } = {}) {
+    const { job } = await chrome.runtime.sendMessage({ action: 'getSyncJob' });
+    if (job && !FINISHED_JOB_STATES.includes(job.state)) {
+        resetView();
+        job.logs.forEach(log => addLog(log.type, log.message, log.time));
+        renderJob(job);
+        return;
+    }
+    if (!autoStart) {
+        logList.innerHTML = '';
+        addLog('info', '同期する書籍を選択してください');
+        return;
+    }
+
+    // An interrupted sync is offered for resuming instead of starting over automatically
+    if (await showResumeOption()) {
+        logList.innerHTML = '';
+        addLog('warning', '前回の同期が完了していません');
+        return;
+    }
+    startSync();
+}
+
+/**
+ * Show the resume option when the last sync stopped before every book reached Notion
+ * @returns {Promise<boolean>} whether there is a sync to resume
+ */
+async function showResumeOption() {
+    const { checkpoint } = await chrome.runtime.sendMessage({ action: 'getSyncCheckpoint' });
+    if (!checkpoint) {
+        resumeSection.classList.remove('show');
+        return false;
+    }
+
+    const startedAt = new Date(checkpoint.startedAt).toLocaleString();
+    resumeSummary.textContent = checkpoint.extractionComplete
+        ? `${startedAt} の同期が途中で終了しました\n${checkpoint.extracted}冊中 ${checkpoint.written}冊を同期済み`
+        : `${startedAt} の同期が抽出中に終了しました\n${checkpoint.extracted}冊を抽出済み、${checkpoint.written}冊を同期済み`;
+    resumeSection.classList.add('show');
+    return true;
+}
+
+/**
+ * Start a sync job
+ * @param {Object} [options] - resume: continue the interrupted sync, onlyBooks: [{ asin, title }] to sync just these
+ */
+async function startSync({ resume = false, onlyBooks = null } = {}) {
     // Check settings first
     const settings = await chrome.storage.sync.get(['notionToken', 'databaseId']);
     if (!settings.notionToken || !settings.databaseId) {
@@ -40,13 +152,20 @@ async function startSync() {
         return;
     }
 
-    isSyncing = true;
-    syncBtn.disabled = true;
-    syncBtn.textContent = '同期中...';
-    warningText.classList.add('show');
-    progressSection.classList.add('show');
-    completeSection.classList.remove('show');
+    resetView();
 
+    const response = await chrome.runtime.sendMessage({ action: 'startSync', resume, onlyBooks });
+    if (response.error) {
+        addLog('error', `エラー: ${response.error}`);
+        return;
+    }
+    if (response.alreadyRunning) {
+        response.job.logs.forEach(log => addLog(log.type, log.message, log.time));
+    }
+    renderJob(response.job);
+}
+
+function resetView() {
     // Reset stats
     totalHighlights = 0;
     progressBar.style.width = '0%';
@@ -54,227 +173,233 @@ async function startSync() {
     booksProcessed.textContent = 0;
     booksTotal.textContent = 0;
     highlightsAdded.textContent = 0;
+    completeSection.classList.remove('show');
+    previewSection.classList.remove('show');
+    resumeSection.classList.remove('show');
+    dryRunSection.classList.remove('show');
+    pickerSection.classList.remove('show');
 
     // Clear old logs
     logList.innerHTML = '';
+}
 
-    addLog('info', 'Kindleページを開いています...');
-
-    try {
-        // Create a new tab with Kindle notebook
-        const tab = await chrome.tabs.create({
-            url: 'https://read.amazon.co.jp/notebook',
-            active: true
-        });
-        kindleTabId = tab.id;
-        addLog('success', 'Kindleタブを作成しました');
-
-        // Wait for the tab to finish loading
-        addLog('info', 'ページの読み込みを待機中...');
-        await waitForTabLoad(kindleTabId);
-        addLog('success', 'ページ読み込み完了');
-
-        // Wait longer for the page content to render (Kindle is a slow SPA)
-        addLog('info', 'ページのレンダリングを待機中... (10秒)');
-        await new Promise(r => setTimeout(r, 10000));
-
-        // Inject content script programmatically
-        addLog('info', 'Content Scriptを注入中...');
-        try {
-            await chrome.scripting.executeScript({
-                target: { tabId: kindleTabId },
-                files: ['content.js']
-            });
-            addLog('success', 'Content Script注入完了');
-        } catch (e) {
-            addLog('error', `Script注入エラー: ${e.message}`);
-            await finishSync();
-            return;
-        }
-
-        // Wait for content script to initialize
-        await new Promise(r => setTimeout(r, 2000));
-
-        // Get book count
-        addLog('info', '書籍数を取得中...');
-        let countResponse;
-        try {
-            countResponse = await chrome.tabs.sendMessage(kindleTabId, {
-                action: 'getBookCount'
-            });
-            addLog('info', `getBookCount結果: ${JSON.stringify(countResponse)}`);
-        } catch (e) {
-            addLog('error', `通信エラー: ${e.message}`);
-            await finishSync();
-            return;
-        }
-
-        if (!countResponse || countResponse.count === undefined) {
-            addLog('error', '書籍数を取得できませんでした');
-            addLog('info', 'Kindleページで書籍一覧が表示されているか確認してください');
-            await finishSync();
-            return;
-        }
+/**
+ * Render the state of the sync job
+ */
+function renderJob(job) {
+    jobId = job.id;
 
-        booksTotal.textContent = countResponse.count;
-        addLog('info', `${countResponse.count}冊の書籍を検出`);
+    if (!FINISHED_JOB_STATES.includes(job.state)) {
+        isSyncing = true;
+        syncBtn.disabled = true;
+        syncBtn.textContent = job.paused ? '一時停止中' : (job.dryRun ? 'ドライラン中...' : '同期中...');
+        warningText.classList.add('show');
+        progressSection.classList.add('show');
 
-        if (countResponse.count === 0) {
-            addLog('warning', '書籍が見つかりません');
-            addLog('info', 'Kindleタブでログインしているか確認してください');
-            await finishSync();
-            return;
-        }
+        isPaused = !!job.paused;
+        pauseSyncBtn.textContent = isPaused ? '再開' : '一時停止';
+        jobControls.classList.add('show');
 
-        // Get existing highlight counts from Notion (for cross-device smart diff)
-        addLog('info', 'Notionから既存書籍のハイライト数を取得中...');
-        let notionCounts = {};
-        try {
-            const notionResponse = await chrome.runtime.sendMessage({
-                action: 'getNotionHighlightCounts'
-            });
-            if (notionResponse && notionResponse.counts) {
-                notionCounts = notionResponse.counts;
-                addLog('success', `Notionに${Object.keys(notionCounts).length}冊の書籍を確認`);
-            }
-        } catch (e) {
-            addLog('warning', `Notionからの取得に失敗: ${e.message}`);
-            addLog('info', '全書籍を処理します（ローカルキャッシュを使用）');
-        }
+        const { current, total, highlights } = job.progress;
+        updateProgress(current, total, null, highlights);
 
-        // Start extraction with Notion counts for smart diff
-        addLog('info', '全書籍の抽出を開始します...');
-
-        let response;
-        try {
-            response = await chrome.tabs.sendMessage(kindleTabId, {
-                action: 'extractAllBooksAuto',
-                notionCounts: notionCounts
-            });
-            addLog('info', `抽出結果: ${response ? response.books?.length + '冊' : 'null'}`);
-        } catch (e) {
-            addLog('error', `抽出エラー: ${e.message}`);
-            await finishSync();
-            return;
+        if (job.state === 'awaitingConfirmation' && job.preview) {
+            showPreview(job.preview);
+        } else {
+            previewSection.classList.remove('show');
         }
+        return;
+    }
 
-        if (response && response.error) {
-            addLog('error', response.error);
-            await finishSync();
-            return;
-        }
+    previewSection.classList.remove('show');
+    finishSync();
+    showResumeOption();
 
-        if (!response || !response.books || response.books.length === 0) {
-            addLog('warning', '抽出された書籍がありません');
-            addLog('info', 'キャッシュ済み、または変更なしの可能性があります');
+    if (job.state === 'completed' && finishedJobId !== job.id) {
+        finishedJobId = job.id;
+        if (job.result.dryRun) {
+            showDryRun(job.result);
+        } else if (job.result.totalProcessed === 0) {
             completeSection.classList.add('show');
             completeSummary.textContent = '同期する書籍がありませんでした';
-            await finishSync();
-            return;
-        }
-
-        addLog('success', `${response.books.length}冊の書籍を抽出完了`);
-
-        // Count total highlights and log book data
-        let extractedHighlights = 0;
-        response.books.forEach((book, index) => {
-            extractedHighlights += book.highlights.length;
-            console.log(`[Sync Window] Book ${index + 1}:`, {
-                title: book.title,
-                author: book.author,
-                amazonUrl: book.amazonUrl,
-                coverUrl: book.coverUrl,
-                highlightCount: book.highlights.length
-            });
-        });
-        addLog('info', `合計 ${extractedHighlights} 件のハイライトを抽出`);
-
-        // Now sync to Notion - reset progress bar for Notion phase
-        addLog('info', 'Notionへの同期を開始...');
-        console.log(`[Sync Window] Sending ${response.books.length} books to Notion...`);
-        progressBar.style.width = '0%';
-        progressBar.textContent = '0%';
-        booksProcessed.textContent = 0;
-        booksTotal.textContent = response.books.length;
-
-        const syncResult = await chrome.runtime.sendMessage({
-            action: 'syncToNotion',
-            books: response.books
-        });
-
-        console.log(`[Sync Window] Notion sync result:`, syncResult);
-
-        if (syncResult.error) {
-            throw new Error(syncResult.error);
+        } else {
+            totalHighlights = job.result.newHighlights;
+            highlightsAdded.textContent = totalHighlights;
+            booksProcessed.textContent = job.result.totalProcessed;
+            showComplete(job.result.totalProcessed, job.result.newBooks, job.result.newHighlights);
         }
+    }
+}
 
-        // Update final stats
-        totalHighlights = syncResult.newHighlights;
-        highlightsAdded.textContent = totalHighlights;
-        booksProcessed.textContent = response.books.length;
-
-        addLog('success', `同期完了: ${syncResult.newBooks}冊追加, ${syncResult.newHighlights}件のハイライト`);
+/**
+ * Show the book picker with the library list cached by the last sync or refresh
+ */
+async function showPicker() {
+    const [{ libraryBooks: library }, settings] = await Promise.all([
+        chrome.storage.local.get('libraryBooks'),
+        chrome.storage.sync.get(['bookFilterMode', 'bookFilterList'])
+    ]);
+    libraryBooks = library ? library.books : [];
+    bookFilterList = settings.bookFilterList || [];
+    bookFilterModeSelect.value = settings.bookFilterMode === 'include' ? 'include' : 'exclude';
+
+    renderBookList();
+    updatePickerStatus(library
+        ? `${new Date(library.updatedAt).toLocaleString()} 時点の書籍一覧`
+        : '書籍一覧がありません。「一覧を更新」でKindleから取得してください');
+    pickerSection.classList.add('show');
+}
 
-        // Save stats
-        const currentStats = await chrome.storage.local.get('totalBooks');
-        await chrome.storage.local.set({
-            lastSync: Date.now(),
-            totalBooks: (currentStats.totalBooks || 0) + syncResult.newBooks
-        });
+/**
+ * Read the library list again from Kindle (opens a notebook tab for a few seconds)
+ */
+async function refreshLibrary() {
+    refreshLibraryBtn.disabled = true;
+    updatePickerStatus('Kindleから書籍一覧を取得中...');
+    const response = await chrome.runtime.sendMessage({ action: 'refreshLibraryBooks' });
+    refreshLibraryBtn.disabled = false;
+    if (response.error) {
+        updatePickerStatus(`エラー: ${response.error}`);
+        return;
+    }
+    libraryBooks = response.library.books;
+    renderBookList();
+    updatePickerStatus(`${libraryBooks.length}冊の書籍一覧を取得しました`);
+}
 
-        showComplete(response.books.length, syncResult.newBooks, syncResult.newHighlights);
+function renderBookList() {
+    const query = bookSearch.value.trim().toLowerCase();
+    const books = query
+        ? libraryBooks.filter(book => book.title.toLowerCase().includes(query) || (book.asin || '').toLowerCase().includes(query))
+        : libraryBooks;
+
+    bookList.innerHTML = '';
+    for (const book of books) {
+        const identity = book.asin || book.title;
+        const li = document.createElement('li');
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = bookFilterList.includes(identity);
+        checkbox.addEventListener('change', () => saveBookFilter(identity, checkbox.checked));
+        const title = document.createElement('span');
+        title.textContent = book.title;
+        label.append(checkbox, title);
+
+        const syncOneBtn = document.createElement('button');
+        syncOneBtn.textContent = 'この本だけ同期';
+        syncOneBtn.addEventListener('click', () => startSync({ onlyBooks: [{ asin: book.asin, title: book.title }] }));
+
+        li.append(label, syncOneBtn);
+        bookList.appendChild(li);
+    }
+}
 
+/**
+ * Add or remove a book of the include/exclude list
+ * The list lives in chrome.storage.sync, whose 8KB item limit holds several hundred ASINs
+ */
+async function saveBookFilter(identity, listed) {
+    bookFilterList = listed
+        ? [...bookFilterList.filter(id => id !== identity), identity]
+        : bookFilterList.filter(id => id !== identity);
+    try {
+        await chrome.storage.sync.set({ bookFilterList });
+        updatePickerStatus();
     } catch (error) {
-        addLog('error', `エラー: ${error.message}`);
-        console.error('Sync error:', error);
-    } finally {
-        await finishSync();
+        updatePickerStatus(`保存できませんでした: ${error.message}`);
     }
 }
 
-async function finishSync() {
-    isSyncing = false;
-    syncBtn.disabled = false;
-    syncBtn.textContent = '再同期';
-    warningText.classList.remove('show');
-
-    // Close Kindle tab based on settings
-    const settings = await chrome.storage.sync.get(['autoCloseWindow']);
-    const autoClose = settings.autoCloseWindow !== undefined ? settings.autoCloseWindow : true; // Default: true
+function updatePickerStatus(message) {
+    const mode = bookFilterModeSelect.value === 'include' ? '同期する' : '同期しない';
+    const selection = bookFilterList.length > 0
+        ? `${bookFilterList.length}冊を選択中（${mode}書籍）`
+        : '選択なし（すべての書籍を同期）';
+    pickerStatus.textContent = message ? `${message}\n${selection}` : selection;
+}
 
-    if (kindleTabId) {
-        if (autoClose) {
-            console.log('[Sync Window] Auto-closing Kindle tab...');
-            chrome.tabs.remove(kindleTabId).catch(() => { });
+/**
+ * Show what a sync would write for each book, with the texts of the highlights it would add
+ * The window stays open so the result can be read
+ */
+function showDryRun(result) {
+    progressBar.style.width = '100%';
+    progressBar.textContent = '100%';
+    completeSection.classList.add('show');
+    completeSummary.textContent = `ドライラン完了: ${result.totalProcessed}冊を確認、新規 ${result.newBooks}冊、${result.newHighlights}件のハイライトを追加予定（Notionには書き込んでいません）`;
+
+    dryRunList.innerHTML = '';
+    for (const entry of result.plan) {
+        const li = document.createElement('li');
+        const label = `${entry.title.substring(0, 40)}: ${describePlanEntry(entry)}`;
+        if (entry.highlights.length === 0) {
+            li.textContent = label;
         } else {
-            console.log('[Sync Window] Keeping Kindle tab open (autoCloseWindow is disabled)');
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = label;
+            const texts = document.createElement('ul');
+            for (const highlight of entry.highlights) {
+                const item = document.createElement('li');
+                item.textContent = highlight.location ? `[位置No. ${highlight.location}] ${highlight.text}` : highlight.text;
+                texts.appendChild(item);
+            }
+            details.append(summary, texts);
+            li.appendChild(details);
         }
-        kindleTabId = null;
+        li.className = entry.error ? 'error' : entry.action;
+        dryRunList.appendChild(li);
     }
+    dryRunSection.classList.add('show');
 }
 
-// Wait for tab to finish loading
-function waitForTabLoad(tabId) {
-    return new Promise((resolve) => {
-        const checkTab = async () => {
-            try {
-                const tab = await chrome.tabs.get(tabId);
-                if (tab.status === 'complete') {
-                    resolve();
-                } else {
-                    setTimeout(checkTab, 500);
-                }
-            } catch (e) {
-                resolve(); // Tab might be closed
-            }
-        };
-        checkTab();
-    });
+function describePlanEntry(entry) {
+    if (entry.error) return `確認できませんでした (${entry.error})`;
+    if (entry.action === 'create') return `ページを作成、${entry.highlights.length}件のハイライトを追加`;
+    if (entry.action === 'noChange') return '変更なし';
+
+    const changes = [`${entry.highlights.length}件のハイライトを追加`];
+    if (entry.updated > 0) changes.push(`${entry.updated}件を更新`);
+    if (entry.removed > 0) changes.push(`${entry.removed}件を削除済みに変更`);
+    return changes.join('、');
 }
 
-// Listen for progress updates from content script
+/**
+ * Show what a reconciling sync will edit or remove, and wait for the user to apply it
+ */
+function showPreview(preview) {
+    const lines = preview.books.map(book =>
+        `・${book.title.substring(0, 30)}: 更新 ${book.updated}件 / 削除 ${book.removed}件`
+    );
+    previewSummary.textContent = `Notionの既存ハイライトを変更します\n${lines.join('\n')}`;
+    previewSection.classList.add('show');
+}
+
+async function answerPreview(approved) {
+    previewSection.classList.remove('show');
+    await chrome.runtime.sendMessage({ action: 'confirmSyncJob', approved });
+}
+
+function finishSync() {
+    isSyncing = false;
+    isPaused = false;
+    jobControls.classList.remove('show');
+    cancelSyncBtn.disabled = false;
+    syncBtn.disabled = false;
+    syncBtn.textContent = '再同期';
+    warningText.classList.remove('show');
+}
+
+// Listen for job state and progress updates from the background
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.action === 'syncProgress') {
+    if (message.action === 'syncJobUpdate') {
+        // Only the job this window started or attached to
+        if (message.job && message.job.id === jobId) {
+            renderJob(message.job);
+        }
+    } else if (message.action === 'syncProgress') {
         updateProgress(message.current, message.total, message.bookTitle, message.highlightsCount);
     } else if (message.action === 'syncLog') {
         addLog(message.type || 'info', message.message);
@@ -299,10 +424,10 @@ function updateProgress(current, total, bookTitle, highlightsCount) {
     }
 }
 
-function addLog(type, message) {
+function addLog(type, message, time = Date.now()) {
     const li = document.createElement('li');
     li.className = type;
-    li.textContent = `${new Date().toLocaleTimeString()} - ${message}`;
+    li.textContent = `${new Date(time).toLocaleTimeString()} - ${message}`;
     logList.insertBefore(li, logList.firstChild);
 
     // Keep only last 50 logs